@@ -0,0 +1,10 @@
+import { writeFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import got from 'got';
+
+const LIST_URL = 'https://publicsuffix.org/list/public_suffix_list.dat';
+const target = process.env.PSL_FILE || fileURLToPath(new URL('../data/public_suffix_list.dat', import.meta.url));
+
+const body = await got(LIST_URL).text();
+await writeFile(target, body);
+console.log(`Wrote ${body.split('\n').length} lines to ${target}`);
@@ -0,0 +1,10 @@
+import { writeFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import got from 'got';
+
+const BOOTSTRAP_URL = 'https://data.iana.org/rdap/dns.json';
+const target = process.env.RDAP_BOOTSTRAP_FILE || fileURLToPath(new URL('../data/rdap-dns.json', import.meta.url));
+
+const body = await got(BOOTSTRAP_URL).json();
+await writeFile(target, JSON.stringify(body, null, 2) + '\n');
+console.log(`Wrote ${body.services.length} RDAP services to ${target}`);
@@ -0,0 +1,175 @@
+import { parseScanOptions } from './schedules.js';
+
+// A campaign scans a list of websites with shared options, a few at a time.
+// Each website is a campaign site that moves from queued to running to a
+// final state as its scan finishes; advance() does that bookkeeping and fills
+// free slots, so it can be called as often as needed and after a restart.
+
+export const MAX_CAMPAIGN_SITES = 1000;
+const DEFAULT_CONCURRENCY = 3;
+const MAX_CONCURRENCY = 50;
+
+export const SITE_STATUSES = ['queued', 'running', 'completed', 'paused', 'failed', 'skipped', 'cancelled'];
+const OPEN_STATUSES = ['queued', 'running'];
+
+const looksLikeUrl = (value) => /^(https?:\/\/)?[a-z0-9-]+(\.[a-z0-9-]+)+(:\d+)?([/?#]\S*)?$/i.test(value);
+
+// Start URLs from a JSON array or the text of a CSV / one-per-line file. The
+// first cell of each row that looks like a URL or bare domain is used, so
+// header rows and extra columns are ignored. Later URLs for a website that is
+// already listed are dropped, as two scans of one site can't run together.
+export function parseUrlList(input) {
+    const cells = Array.isArray(input)
+        ? input.map((value) => [String(value)])
+        : String(input || '').split(/\r?\n/).map((line) => line.split(/[,;\t]/));
+    const startUrls = [];
+    const websites = new Set();
+    const rejected = [];
+    for (const row of cells) {
+        const values = row.map((cell) => cell.trim().replace(/^["']|["']$/g, '')).filter(Boolean);
+        if (!values.length) continue;
+        const value = values.find(looksLikeUrl);
+        if (!value) {
+            rejected.push(values.join(', '));
+            continue;
+        }
+        const url = new URL(/^https?:\/\//i.test(value) ? value : `https://${value}`);
+        if (websites.has(url.hostname)) continue;
+        websites.add(url.hostname);
+        startUrls.push(url.href);
+    }
+    return { startUrls, rejected };
+}
+
+// Validates POST /campaigns; throws so the route can answer 400.
+export function parseCampaign(body = {}) {
+    const list = body.file !== undefined ? body.file : body.startUrls;
+    const { startUrls, rejected } = parseUrlList(list);
+    if (!startUrls.length) throw new Error('No start URLs found in the list');
+    if (startUrls.length > MAX_CAMPAIGN_SITES) throw new Error(`A campaign can scan at most ${MAX_CAMPAIGN_SITES} websites`);
+    let concurrency = DEFAULT_CONCURRENCY;
+    if (body.concurrency !== undefined && body.concurrency !== '') {
+        concurrency = Number(body.concurrency);
+        if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > MAX_CONCURRENCY) {
+            throw new Error(`concurrency must be between 1 and ${MAX_CONCURRENCY}`);
+        }
+    }
+    const name = String(body.name || '').trim() || `${startUrls.length} websites`;
+    return { name, concurrency, options: parseScanOptions(body.options || {}), startUrls, rejected };
+}
+
+// startScan(site, campaign) starts a scan and resolves to { scan } or
+// { skipped: reason }; siteStatus(scan) maps a scan to a site status.
+export function createCampaignRunner({ campaignsCollection, sitesCollection, scansCollection, findingsCollection, startScan, siteStatus }) {
+    async function ensureIndexes() {
+        await campaignsCollection.createIndex({ createdAt: -1 });
+        await sitesCollection.createIndex({ campaignId: 1, index: 1 }, { unique: true });
+        await sitesCollection.createIndex({ campaignId: 1, status: 1 });
+    }
+
+    async function create({ name, concurrency, options, startUrls }) {
+        const now = new Date();
+        const campaign = { name, concurrency, options, status: 'running', total: startUrls.length, createdAt: now, completedAt: null };
+        const { insertedId } = await campaignsCollection.insertOne(campaign);
+        await sitesCollection.insertMany(startUrls.map((startUrl, index) => ({
+            campaignId: insertedId, index, startUrl, website: new URL(startUrl).hostname, status: 'queued', scanId: null,
+        })));
+        return { ...campaign, _id: insertedId };
+    }
+
+    // Settles sites whose scans have finished, then starts queued ones while
+    // there is room. Resolves to whether the campaign still has work left.
+    async function advance(campaignId) {
+        const campaign = await campaignsCollection.findOne({ _id: campaignId });
+        if (!campaign || campaign.status !== 'running') return false;
+
+        const running = await sitesCollection.find({ campaignId, status: 'running' }).toArray();
+        const scans = await scansCollection.find({ _id: { $in: running.map((site) => site.scanId) } }).toArray();
+        const scansById = new Map(scans.map((scan) => [scan._id.toString(), scan]));
+        let active = 0;
+        for (const site of running) {
+            const status = siteStatus(scansById.get(site.scanId.toString()));
+            if (status === 'running') {
+                active++;
+                continue;
+            }
+            await sitesCollection.updateOne({ _id: site._id }, { $set: { status, finishedAt: new Date() } });
+        }
+
+        const queued = await sitesCollection
+            .find({ campaignId, status: 'queued' })
+            .sort({ index: 1 })
+            .limit(Math.max(campaign.concurrency - active, 0))
+            .toArray();
+        for (const site of queued) {
+            let update;
+            try {
+                const { scan, skipped } = await startScan(site, campaign);
+                update = scan
+                    ? { status: 'running', scanId: scan._id, startedAt: new Date() }
+                    : { status: 'skipped', reason: skipped, finishedAt: new Date() };
+            } catch (error) {
+                console.error(`Campaign scan of ${site.startUrl} failed to start:`, error.message);
+                update = { status: 'failed', reason: error.message, finishedAt: new Date() };
+            }
+            await sitesCollection.updateOne({ _id: site._id }, { $set: update });
+        }
+
+        const open = await sitesCollection.countDocuments({ campaignId, status: { $in: OPEN_STATUSES } });
+        if (!open) await campaignsCollection.updateOne({ _id: campaignId }, { $set: { status: 'completed', completedAt: new Date() } });
+        return open > 0;
+    }
+
+    // Stops queuing; scans already running finish their current batch.
+    async function cancel(campaignId) {
+        const { matchedCount } = await campaignsCollection.updateOne(
+            { _id: campaignId, status: 'running' },
+            { $set: { status: 'cancelled', completedAt: new Date() } }
+        );
+        if (matchedCount) await sitesCollection.updateMany({ campaignId, status: 'queued' }, { $set: { status: 'cancelled' } });
+        return matchedCount > 0;
+    }
+
+    // Per-site status with scan counters, plus totals across the campaign.
+    async function progress(campaign, { withSites = false } = {}) {
+        const sites = await sitesCollection.find({ campaignId: campaign._id }).sort({ index: 1 }).toArray();
+        const scanIds = sites.map((site) => site.scanId).filter(Boolean);
+        const [scans, deadDomains] = await Promise.all([
+            scansCollection.find({ _id: { $in: scanIds } }).toArray(),
+            findingsCollection.countDocuments({ scanId: { $in: scanIds } }),
+        ]);
+        const scansById = new Map(scans.map((scan) => [scan._id.toString(), scan]));
+        const counts = Object.fromEntries(SITE_STATUSES.map((status) => [status, 0]));
+        const totals = { pagesVisited: 0, domainsChecked: 0, deadDomains };
+        const siteRows = sites.map((site) => {
+            const scan = site.scanId && scansById.get(site.scanId.toString());
+            counts[site.status]++;
+            totals.pagesVisited += scan?.visitedCount || 0;
+            totals.domainsChecked += scan?.checkedDomains || 0;
+            return {
+                startUrl: site.startUrl, website: site.website, status: site.status, reason: site.reason || scan?.lastError || null,
+                scanId: site.scanId?.toString() || null, scanStatus: scan?.status || null,
+                visitedCount: scan?.visitedCount || 0, checkedDomains: scan?.checkedDomains || 0,
+                startedAt: site.startedAt || null, finishedAt: site.finishedAt || null,
+            };
+        });
+        return {
+            id: campaign._id.toString(),
+            name: campaign.name,
+            status: campaign.status,
+            concurrency: campaign.concurrency,
+            options: campaign.options,
+            total: campaign.total,
+            done: campaign.total - counts.queued - counts.running,
+            counts,
+            totals,
+            createdAt: campaign.createdAt,
+            completedAt: campaign.completedAt || null,
+            ...(withSites ? { sites: siteRows } : {}),
+        };
+    }
+
+    const websites = async (campaignId) => sitesCollection.distinct('website', { campaignId });
+
+    return { ensureIndexes, create, advance, cancel, progress, websites };
+}
@@ -0,0 +1,71 @@
+import { parentPort, workerData } from 'node:worker_threads';
+import { MongoClient, ObjectId } from 'mongodb';
+import { createCrawler } from './worker.js';
+
+// Entry point for a pool thread. Runs one crawler batch with its own Mongo
+// connection and talks to the pool over the parent port: progress events go
+// up, fetch/check permits are requested from the global budget, and a 'stop'
+// message ends the batch early.
+
+const { mongoUrl, dbName, scanId, options } = workerData;
+const client = new MongoClient(mongoUrl);
+const pendingGrants = new Map();
+let nextRequestId = 0;
+let crawler = null;
+let stopRequested = false;
+
+parentPort.on('message', (msg) => {
+    if (msg.type === 'grant') {
+        pendingGrants.get(msg.requestId)?.();
+        pendingGrants.delete(msg.requestId);
+    } else if (msg.type === 'stop') {
+        stopRequested = true;
+        crawler?.stop();
+    }
+});
+
+const acquire = (kind) => new Promise((resolve) => {
+    const requestId = ++nextRequestId;
+    pendingGrants.set(requestId, resolve);
+    parentPort.postMessage({ type: 'acquire', kind, requestId });
+});
+
+const limiter = {
+    async run(kind, fn) {
+        await acquire(kind);
+        try {
+            return await fn();
+        } finally {
+            parentPort.postMessage({ type: 'release', kind });
+        }
+    },
+};
+
+const events = {
+    emit: (_, payload) => parentPort.postMessage({ type: 'event', payload }),
+};
+
+async function run() {
+    await client.connect();
+    const db = client.db(dbName);
+    crawler = createCrawler({
+        ...options,
+        scanId: new ObjectId(scanId),
+        events,
+        limiter,
+        scansCollection: db.collection('scans'),
+        resultsCollection: db.collection('results'),
+        sourcesCollection: db.collection('sources'),
+        frontierCollection: db.collection('frontier'),
+        findingsCollection: db.collection('findings'),
+    });
+    if (stopRequested) crawler.stop();
+    await crawler.start();
+}
+
+run()
+    .then(() => ({ type: 'done' }), (err) => ({ type: 'failed', error: err.message }))
+    .then(async (msg) => {
+        await client.close().catch(() => {});
+        parentPort.postMessage(msg);
+    });
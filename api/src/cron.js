@@ -0,0 +1,153 @@
+// Five-field cron expressions (minute hour day-of-month month day-of-week)
+// evaluated in an IANA time zone. Fields take *, numbers, ranges, steps and
+// lists; months and weekdays also take three-letter names. As in classic cron,
+// when both day fields are restricted a day matching either one runs; a day
+// field starting with * (such as */2) does not count as restricted.
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+    { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] },
+];
+
+const MACROS = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *',
+    '@yearly': '0 0 1 1 *',
+};
+
+// How far ahead to look before deciding an expression never fires (e.g. 30 Feb).
+const MAX_DAYS_AHEAD = 366 * 5;
+
+function parseValue(raw, field) {
+    const index = field.names?.indexOf(raw.toLowerCase()) ?? -1;
+    if (index >= 0) return field.name === 'month' ? index + 1 : index;
+    if (!/^\d+$/.test(raw)) throw new Error(`Invalid ${field.name} "${raw}"`);
+    const value = Number(raw);
+    if (value < field.min || value > field.max) {
+        throw new Error(`${field.name} must be between ${field.min} and ${field.max}`);
+    }
+    return value;
+}
+
+function parseField(text, field) {
+    const values = new Set();
+    for (const part of text.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        if (!Number.isInteger(step) || step < 1) throw new Error(`Invalid step in ${field.name} "${part}"`);
+        let start;
+        let end;
+        if (range === '*') {
+            [start, end] = [field.min, field.max];
+        } else if (range.includes('-')) {
+            const bounds = range.split('-');
+            if (bounds.length !== 2) throw new Error(`Invalid range in ${field.name} "${range}"`);
+            [start, end] = bounds.map((value) => parseValue(value, field));
+            if (start > end) throw new Error(`Invalid range in ${field.name} "${range}"`);
+        } else {
+            start = parseValue(range, field);
+            end = stepText === undefined ? start : field.max;
+        }
+        for (let value = start; value <= end; value += step) values.add(value);
+    }
+    return values;
+}
+
+// Throws with a readable message so routes can answer 400.
+export function parseCron(expression) {
+    const text = String(expression || '').trim();
+    const parts = (MACROS[text.toLowerCase()] || text).split(/\s+/);
+    if (parts.length !== FIELDS.length) {
+        throw new Error('cron must have five fields: minute hour day-of-month month day-of-week');
+    }
+    const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i]));
+    // 7 is Sunday too.
+    if (weekdays.delete(7)) weekdays.add(0);
+    return {
+        minutes: [...minutes].sort((a, b) => a - b),
+        hours: [...hours].sort((a, b) => a - b),
+        days,
+        months,
+        weekdays,
+        anyDay: parts[2].startsWith('*'),
+        anyWeekday: parts[4].startsWith('*'),
+    };
+}
+
+export function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+const formatters = new Map();
+
+// Wall-clock fields of `date` in `timeZone`.
+function zonedParts(date, timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric',
+        }));
+    }
+    const parts = Object.fromEntries(formatters.get(timeZone).formatToParts(date).map(({ type, value }) => [type, Number(value)]));
+    return { year: parts.year, month: parts.month, day: parts.day, hour: parts.hour, minute: parts.minute };
+}
+
+// The instant a wall-clock time happens in `timeZone`, or null when a DST
+// change skips it. Of the two instants of a repeated hour the first is used.
+function zonedTime(year, month, day, hour, minute, timeZone) {
+    const wall = Date.UTC(year, month - 1, day, hour, minute);
+    const offsetAt = (time) => {
+        const p = zonedParts(new Date(time), timeZone);
+        return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute) - time;
+    };
+    const candidates = [wall - offsetAt(wall - 12 * 60 * 60 * 1000), wall - offsetAt(wall + 12 * 60 * 60 * 1000)]
+        .filter((time) => {
+            const p = zonedParts(new Date(time), timeZone);
+            return p.year === year && p.month === month && p.day === day && p.hour === hour && p.minute === minute;
+        })
+        .sort((a, b) => a - b);
+    return candidates.length ? new Date(candidates[0]) : null;
+}
+
+function dayMatches(cron, year, month, day) {
+    if (!cron.months.has(month)) return false;
+    const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+    // With either day field open (*, */2) a day has to match both.
+    if (cron.anyDay || cron.anyWeekday) return cron.days.has(day) && cron.weekdays.has(weekday);
+    return cron.days.has(day) || cron.weekdays.has(weekday);
+}
+
+// First run strictly after `after`, or null if the expression never fires.
+export function nextRun(cron, timeZone = 'UTC', after = new Date()) {
+    const parsed = typeof cron === 'string' ? parseCron(cron) : cron;
+    const start = zonedParts(after, timeZone);
+    for (let offset = 0; offset <= MAX_DAYS_AHEAD; offset++) {
+        const date = new Date(Date.UTC(start.year, start.month - 1, start.day + offset));
+        const [year, month, day] = [date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate()];
+        if (!dayMatches(parsed, year, month, day)) continue;
+        for (const hour of parsed.hours) {
+            for (const minute of parsed.minutes) {
+                const time = zonedTime(year, month, day, hour, minute, timeZone);
+                if (time && time > after) return time;
+            }
+        }
+    }
+    return null;
+}
+
+export function upcomingRuns(cron, timeZone = 'UTC', count = 5, after = new Date()) {
+    const parsed = typeof cron === 'string' ? parseCron(cron) : cron;
+    const runs = [];
+    let time = after;
+    while (runs.length < count && (time = nextRun(parsed, timeZone, time))) runs.push(time);
+    return runs;
+}
@@ -0,0 +1,88 @@
+import { Resolver } from 'node:dns/promises';
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+export const DNS_CLASS = {
+    RESOLVES: 'resolves',
+    NXDOMAIN: 'nxdomain',
+    NO_ADDRESS: 'no-address',
+    SERVFAIL: 'servfail',
+    TIMEOUT: 'timeout',
+    ERROR: 'error',
+};
+
+// Only a name with no delegation at all is dead. A delegated name without
+// addresses (mail-only, parked) and a broken or slow nameserver are still
+// registered, so those are reported as 'dns-unknown' rather than recorded.
+export const DEAD_DNS_CLASSES = [DNS_CLASS.NXDOMAIN];
+
+// How a DNS class is reported on a result: dead classes are 'no-dns', other
+// failures 'dns-unknown'; `code` is the class as an upper-case constant.
+export function describeDnsClass(dnsClass) {
+    const code = dnsClass.toUpperCase().replace('-', '_');
+    if (DEAD_DNS_CLASSES.includes(dnsClass)) return { status: 'no-dns', code, dnsClass };
+    if (dnsClass !== DNS_CLASS.RESOLVES) return { status: 'dns-unknown', code, dnsClass };
+    return { status: 'ok', dnsClass };
+}
+
+const TRANSIENT_CODES = new Set(['ESERVFAIL', 'ETIMEOUT', 'ECONNREFUSED', 'EREFUSED', 'ECANCELLED']);
+
+const parseList = (value) => (value || '').split(',').map((s) => s.trim()).filter(Boolean);
+
+export function createDnsChecker({
+    servers = parseList(process.env.DNS_SERVERS),
+    timeout = Number(process.env.DNS_TIMEOUT_MS) || 3000,
+    retries = process.env.DNS_RETRIES !== undefined ? Number(process.env.DNS_RETRIES) : 2,
+    retryDelay = 200,
+} = {}) {
+    const resolver = new Resolver({ timeout, tries: 1 });
+    if (servers.length) resolver.setServers(servers);
+
+    async function query(method, domain) {
+        let lastError;
+        for (let attempt = 0; attempt <= retries; attempt++) {
+            try {
+                return { records: await resolver[method](domain), code: null, attempts: attempt + 1 };
+            } catch (err) {
+                lastError = err;
+                if (!TRANSIENT_CODES.has(err.code)) break;
+                if (attempt < retries) await sleep(retryDelay * 2 ** attempt);
+            }
+        }
+        return { records: [], code: lastError?.code || 'EUNKNOWN', attempts: retries + 1 };
+    }
+
+    async function classify(domain) {
+        const [a, aaaa] = await Promise.all([query('resolve4', domain), query('resolve6', domain)]);
+        const addresses = [...a.records, ...aaaa.records];
+        const base = { domain, addresses, nameservers: [], soa: null };
+
+        if (addresses.length) return { ...base, dnsClass: DNS_CLASS.RESOLVES, errorCode: null };
+
+        // Look at the delegation before deciding: an address lookup can say
+        // NXDOMAIN for a name whose nameservers are merely misconfigured.
+        const [ns, soa] = await Promise.all([query('resolveNs', domain), query('resolveSoa', domain)]);
+        base.nameservers = ns.records;
+        base.soa = soa.code ? null : soa.records;
+
+        if (base.nameservers.length || base.soa) {
+            return { ...base, dnsClass: DNS_CLASS.NO_ADDRESS, errorCode: a.code || aaaa.code };
+        }
+        const codes = [a.code, aaaa.code, ns.code, soa.code];
+        if (codes.includes('ENOTFOUND') && !TRANSIENT_CODES.has(ns.code)) {
+            return { ...base, dnsClass: DNS_CLASS.NXDOMAIN, errorCode: 'ENOTFOUND' };
+        }
+        if (a.code === 'ENODATA' || aaaa.code === 'ENODATA') {
+            return { ...base, dnsClass: DNS_CLASS.NO_ADDRESS, errorCode: 'ENODATA' };
+        }
+        if (codes.includes('ESERVFAIL')) return { ...base, dnsClass: DNS_CLASS.SERVFAIL, errorCode: 'ESERVFAIL' };
+        if (codes.includes('ETIMEOUT')) return { ...base, dnsClass: DNS_CLASS.TIMEOUT, errorCode: 'ETIMEOUT' };
+        return { ...base, dnsClass: DNS_CLASS.ERROR, errorCode: a.code };
+    }
+
+    return {
+        classify,
+        servers: () => resolver.getServers(),
+        cancel: () => resolver.cancel(),
+    };
+}
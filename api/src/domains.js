@@ -0,0 +1,159 @@
+import { escapeRegex, parseResultsPage } from './results.js';
+import { LIFECYCLE_STAGES } from './whois/index.js';
+
+// Results are stored once per scanned website; the domain index folds them
+// together so a dead domain linked from many sites shows up once, with every
+// site that references it.
+
+export const DOMAIN_SORT_FIELDS = ['domain', 'referringSites', 'referringPages', 'firstSeen', 'lastSeen', 'estimatedDropDate', 'score'];
+
+const single = (value) => (Array.isArray(value) ? value[0] : value);
+
+// The latest check wins, whichever website's scan or re-check made it.
+const CURRENT_FIELDS = ['status', 'code', 'lifecycleStage', 'estimatedDropDate', 'expiryDate', 'registrar', 'available'];
+
+function parseDomainsFilter(params) {
+    const before = {};
+    const after = {};
+    const search = single(params.search);
+    if (search) before.domain = { $regex: escapeRegex(String(search).toLowerCase()) };
+    const tld = single(params.tld);
+    if (tld) before.tld = { $regex: `^${escapeRegex(String(tld).replace(/^\./, ''))}$`, $options: 'i' };
+    const website = single(params.website);
+    if (website) after.websites = String(website);
+    const lifecycleStage = single(params.lifecycleStage);
+    if (lifecycleStage) {
+        if (!LIFECYCLE_STAGES.includes(lifecycleStage)) {
+            throw new Error(`lifecycleStage must be one of ${LIFECYCLE_STAGES.join(', ')}`);
+        }
+        after['current.lifecycleStage'] = lifecycleStage;
+    }
+    const minSites = single(params.minSites);
+    if (minSites !== undefined && minSites !== '') {
+        const count = Number(minSites);
+        if (!Number.isInteger(count) || count < 1) throw new Error('minSites must be a positive integer');
+        after.referringSites = { $gte: count };
+    }
+    return { before, after };
+}
+
+function parseDomainsSort(params) {
+    const field = single(params.sort) || 'referringSites';
+    if (!DOMAIN_SORT_FIELDS.includes(field)) throw new Error(`sort must be one of ${DOMAIN_SORT_FIELDS.join(', ')}`);
+    const order = single(params.order) || (['domain', 'estimatedDropDate'].includes(field) ? 'asc' : 'desc');
+    if (order !== 'asc' && order !== 'desc') throw new Error("order must be 'asc' or 'desc'");
+    const key = field === 'estimatedDropDate' ? 'current.estimatedDropDate' : field;
+    return { field, order, sort: { [key]: order === 'asc' ? 1 : -1, _id: 1 } };
+}
+
+// Results stored before the crawler kept page counts and first/last
+// sightings on them get those figures from the sources collection once.
+export async function backfillReferringPages({ resultsCollection, sourcesCollection }) {
+    const websitesByDomain = new Map();
+    for (const { website, domain } of await resultsCollection.find({ referringPages: null }).project({ website: 1, domain: 1 }).toArray()) {
+        websitesByDomain.set(domain, [...(websitesByDomain.get(domain) || []), website]);
+    }
+    let updated = 0;
+    for (const [domain, websites] of websitesByDomain) {
+        const stats = await sourcesCollection.aggregate([
+            { $match: { domain, website: { $in: websites } } },
+            {
+                $group: {
+                    _id: '$website', urls: { $addToSet: '$sourceUrl' },
+                    firstSeenAt: { $min: '$firstSeenAt' }, lastSeenAt: { $max: '$lastSeenAt' },
+                },
+            },
+        ]).toArray();
+        const statsBySite = new Map(stats.map((stat) => [stat._id, stat]));
+        const { modifiedCount } = await resultsCollection.bulkWrite(websites.map((website) => {
+            const stat = statsBySite.get(website);
+            return {
+                updateOne: {
+                    filter: { website, domain, referringPages: null },
+                    update: {
+                        $set: { referringPages: stat?.urls.length ?? 0 },
+                        ...(stat && { $min: { firstSeenAt: stat.firstSeenAt }, $max: { lastSeenAt: stat.lastSeenAt } }),
+                    },
+                },
+            };
+        }), { ordered: false });
+        updated += modifiedCount;
+    }
+    return updated;
+}
+
+// Returns the aggregation for GET /domains plus the parsed paging and sort.
+// Bad parameters throw so the route can answer 400.
+export function buildDomainsPipeline(params = {}) {
+    const { before, after } = parseDomainsFilter(params);
+    const sort = parseDomainsSort(params);
+    const paging = parseResultsPage(params);
+    const pipeline = [
+        { $match: before },
+        { $addFields: { checkedAt: { $ifNull: ['$lastVerifiedAt', '$foundAt'] } } },
+        { $sort: { domain: 1, checkedAt: -1 } },
+        {
+            $group: {
+                _id: '$domain',
+                tld: { $first: '$tld' },
+                websites: { $addToSet: '$website' },
+                referringPages: { $sum: { $ifNull: ['$referringPages', 0] } },
+                firstSeen: { $min: { $min: ['$foundAt', '$firstSeenAt'] } },
+                lastSeen: { $max: { $max: ['$foundAt', '$lastSeenAt'] } },
+                highRisk: { $max: { $eq: ['$risk', 'high'] } },
+                score: { $max: '$score' },
+                lastCheckedAt: { $first: '$checkedAt' },
+                ...Object.fromEntries(CURRENT_FIELDS.map((field) => [field, { $first: `$${field}` }])),
+            },
+        },
+        {
+            $project: {
+                domain: '$_id', tld: 1, websites: 1, referringSites: { $size: '$websites' }, referringPages: 1,
+                firstSeen: 1, lastSeen: 1, highRisk: 1, score: 1,
+                current: { checkedAt: '$lastCheckedAt', ...Object.fromEntries(CURRENT_FIELDS.map((field) => [field, `$${field}`])) },
+            },
+        },
+        { $match: after },
+        { $sort: sort.sort },
+        {
+            $facet: {
+                items: [{ $skip: paging.skip }, { $limit: paging.pageSize }, { $project: { _id: 0 } }],
+                total: [{ $count: 'count' }],
+            },
+        },
+    ];
+    return { pipeline, sort, paging };
+}
+
+// Folds one domain's results and per-site source stats into the detail view.
+export function summarizeDomain(domain, results, sourceStats) {
+    const statsBySite = new Map(sourceStats.map((stat) => [stat._id, stat]));
+    const checkedAt = (result) => new Date(result.lastVerifiedAt || result.foundAt || 0).getTime();
+    const latest = [...results].sort((a, b) => checkedAt(b) - checkedAt(a))[0];
+    const websites = results
+        .map((result) => {
+            const stats = statsBySite.get(result.website);
+            return {
+                website: result.website, resultId: result._id, referringPages: stats?.pages ?? 0,
+                firstSeen: stats?.firstSeenAt || result.foundAt, lastSeen: stats?.lastSeenAt || result.foundAt,
+                referenceTypes: result.referenceTypes || [], risk: result.risk || null, triageStatus: result.triageStatus || null,
+            };
+        })
+        .sort((a, b) => b.referringPages - a.referringPages || a.website.localeCompare(b.website));
+    const dates = websites.flatMap((site) => [site.firstSeen, site.lastSeen]).filter(Boolean).map((date) => new Date(date));
+    return {
+        domain,
+        tld: latest.tld,
+        score: latest.score ?? null,
+        scoreBreakdown: latest.scoreBreakdown || null,
+        referringSites: websites.length,
+        referringPages: sourceStats.reduce((total, stat) => total + stat.pages, 0),
+        firstSeen: dates.length ? new Date(Math.min(...dates)) : null,
+        lastSeen: dates.length ? new Date(Math.max(...dates)) : null,
+        current: {
+            checkedAt: latest.lastVerifiedAt || latest.foundAt,
+            ...Object.fromEntries(CURRENT_FIELDS.map((field) => [field, latest[field] ?? null])),
+        },
+        websites,
+    };
+}
@@ -0,0 +1,102 @@
+import { once } from 'node:events';
+import ExcelJS from 'exceljs';
+
+// Streams result documents from a Mongo cursor straight into the response, so
+// exports never hold the whole result set in memory.
+
+export const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+};
+
+const formatDate = (value) => (value instanceof Date ? value.toISOString() : value ?? '');
+const formatList = (value) => (Array.isArray(value) ? value.join(' ') : value ?? '');
+
+const COLUMNS = [
+    { key: 'website', header: 'Website', width: 30 },
+    { key: 'domain', header: 'Domain', width: 30 },
+    { key: 'score', header: 'Score', width: 8 },
+    { key: 'tld', header: 'Suffix', width: 10 },
+    { key: 'status', header: 'Status', width: 10 },
+    { key: 'code', header: 'DNS Code', width: 12 },
+    { key: 'expiryDate', header: 'Expiry Date', width: 24, format: formatDate },
+    { key: 'expiryDateReason', header: 'Expiry Reason', width: 30 },
+    { key: 'creationDate', header: 'Creation Date', width: 24, format: formatDate },
+    { key: 'registrar', header: 'Registrar', width: 24 },
+    { key: 'lifecycleStage', header: 'Lifecycle Stage', width: 16 },
+    { key: 'estimatedDropDate', header: 'Est. Drop Date', width: 14 },
+    { key: 'domainStatus', header: 'EPP Statuses', width: 30, format: formatList },
+    { key: 'whoisProvider', header: 'WHOIS Provider', width: 12 },
+    { key: 'referenceTypes', header: 'Reference Types', width: 20, format: formatList },
+    { key: 'risk', header: 'Risk', width: 8 },
+    { key: 'subdomains', header: 'Hosts', width: 40, format: formatList },
+    { key: 'foundAt', header: 'Found At', width: 24, format: formatDate },
+    { key: 'triageStatus', header: 'Triage Status', width: 14 },
+    { key: 'tags', header: 'Tags', width: 24, format: formatList },
+    { key: 'notes', header: 'Notes', width: 40 },
+];
+
+const toRow = (doc) => COLUMNS.map(({ key, format }) => (format ? format(doc[key]) : doc[key] ?? ''));
+// Spreadsheets get real date cells rather than ISO strings.
+const toSheetRow = (doc) => COLUMNS.map(({ key, format }) => (doc[key] instanceof Date ? doc[key] : format ? format(doc[key]) : doc[key] ?? ''));
+
+// Notes, anchors and the like are user or page text; a leading = + - or @
+// would make a spreadsheet run it as a formula, so those cells are quoted.
+const csvCell = (value) => {
+    const text = typeof value === 'string' && /^[=+\-@]/.test(value) ? `'${value}` : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+async function drained(stream) {
+    if (stream.destroyed) throw new Error('Export aborted: client disconnected');
+    if (stream.writableNeedDrain) await Promise.race([once(stream, 'drain'), once(stream, 'close')]);
+}
+
+async function write(stream, chunk) {
+    if (stream.destroyed) throw new Error('Export aborted: client disconnected');
+    if (!stream.write(chunk)) await Promise.race([once(stream, 'drain'), once(stream, 'close')]);
+}
+
+async function writeCsv(cursor, res) {
+    await write(res, `${COLUMNS.map((c) => csvCell(c.header)).join(',')}\r\n`);
+    for await (const doc of cursor) {
+        await write(res, `${toRow(doc).map(csvCell).join(',')}\r\n`);
+    }
+}
+
+async function writeJsonl(cursor, res) {
+    for await (const doc of cursor) {
+        const { _id, ...rest } = doc;
+        await write(res, `${JSON.stringify({ id: _id.toString(), ...rest })}\n`);
+    }
+}
+
+async function writeXlsx(cursor, res) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false, useSharedStrings: false });
+    const sheet = workbook.addWorksheet('Results');
+    sheet.columns = COLUMNS.map(({ key, header, width }) => ({ key, header, width }));
+    for await (const doc of cursor) {
+        // The workbook pipes into the response without waiting for it, so
+        // rows are held back while the response is backed up.
+        await drained(res);
+        sheet.addRow(toSheetRow(doc)).commit();
+    }
+    sheet.commit();
+    await workbook.commit();
+}
+
+const WRITERS = { csv: writeCsv, jsonl: writeJsonl, xlsx: writeXlsx };
+
+export async function streamResultsExport(cursor, format, res) {
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    const filename = `expired-domains-${new Date().toISOString().slice(0, 10)}.${extension}`;
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    try {
+        await WRITERS[format](cursor, res);
+    } finally {
+        await cursor.close();
+    }
+    if (!res.writableEnded) res.end();
+}
@@ -0,0 +1,119 @@
+// Crawl frontier stored one document per URL, so a scan's size is bounded by
+// the collection rather than Mongo's 16MB document limit.
+export const FRONTIER_STATE = {
+    QUEUED: 'queued',
+    IN_PROGRESS: 'in-progress',
+    VISITED: 'visited',
+    FAILED: 'failed',
+    SKIPPED: 'skipped',
+};
+
+export async function ensureFrontierIndexes(frontierCollection) {
+    await frontierCollection.createIndex({ scanId: 1, url: 1 }, { unique: true });
+    await frontierCollection.createIndex({ scanId: 1, state: 1, depth: 1, discoveredAt: 1 });
+}
+
+export function createFrontier({ frontierCollection, scanId }) {
+    const setState = (url, state, extra = {}) => frontierCollection.updateOne(
+        { scanId, url },
+        { $set: { state, updatedAt: new Date(), ...extra } }
+    );
+
+    let lastCounts = null;
+    async function countStates() {
+        const groups = await frontierCollection.aggregate([
+            { $match: { scanId } },
+            { $group: { _id: '$state', count: { $sum: 1 } } },
+        ]).toArray();
+        const byState = Object.fromEntries(Object.values(FRONTIER_STATE).map((state) => [state, 0]));
+        for (const { _id, count } of groups) byState[_id] = count;
+        return {
+            ...byState,
+            visitedCount: byState.visited + byState.failed + byState.skipped,
+            queueCount: byState.queued + byState['in-progress'],
+        };
+    }
+
+    return {
+        // Adds URLs that are not already known; returns how many were new.
+        async add(urls, { depth = 0, discoveredFrom = null } = {}) {
+            if (!urls.length) return 0;
+            const now = new Date();
+            const res = await frontierCollection.bulkWrite(urls.map((url) => ({
+                updateOne: {
+                    filter: { scanId, url },
+                    update: {
+                        $setOnInsert: {
+                            scanId, url, state: FRONTIER_STATE.QUEUED, depth, discoveredFrom,
+                            discoveredAt: now, updatedAt: now, attempts: 0,
+                        },
+                    },
+                    upsert: true,
+                },
+            })), { ordered: false });
+            return res.upsertedCount || 0;
+        },
+
+        // Records a URL as visited on behalf of another page, but only when
+        // it is new; one already queued or being crawled keeps its state.
+        async addVisited(url, { depth = 0, discoveredFrom = null, statusCode = null, ...extra } = {}) {
+            const now = new Date();
+            const res = await frontierCollection.updateOne(
+                { scanId, url },
+                {
+                    $setOnInsert: {
+                        scanId, url, state: FRONTIER_STATE.VISITED, depth, discoveredFrom, statusCode,
+                        discoveredAt: now, visitedAt: now, updatedAt: now, attempts: 0, ...extra,
+                    },
+                },
+                { upsert: true }
+            );
+            return res.upsertedCount > 0;
+        },
+
+        // Moves up to `limit` queued URLs to in-progress, shallowest first.
+        async claim(limit) {
+            const entries = await frontierCollection
+                .find({ scanId, state: FRONTIER_STATE.QUEUED })
+                .sort({ depth: 1, discoveredAt: 1 })
+                .limit(limit)
+                .toArray();
+            if (!entries.length) return [];
+            await frontierCollection.updateMany(
+                { scanId, url: { $in: entries.map((e) => e.url) }, state: FRONTIER_STATE.QUEUED },
+                { $set: { state: FRONTIER_STATE.IN_PROGRESS, updatedAt: new Date() }, $inc: { attempts: 1 } }
+            );
+            return entries;
+        },
+
+        markVisited: (url, statusCode, extra = {}) => setState(url, FRONTIER_STATE.VISITED, { statusCode, visitedAt: new Date(), ...extra }),
+        markFailed: (url, error) => setState(url, FRONTIER_STATE.FAILED, { error, visitedAt: new Date() }),
+        markSkipped: (url, reason) => setState(url, FRONTIER_STATE.SKIPPED, { reason }),
+        requeue: (url) => setState(url, FRONTIER_STATE.QUEUED),
+
+        // Returns claimed-but-unfinished URLs to the queue (after a stop or crash).
+        async releaseInProgress() {
+            const res = await frontierCollection.updateMany(
+                { scanId, state: FRONTIER_STATE.IN_PROGRESS },
+                { $set: { state: FRONTIER_STATE.QUEUED, updatedAt: new Date() } }
+            );
+            return res.modifiedCount;
+        },
+
+        // One pass over the scan's URLs grouped by state. Callers that poll can
+        // pass `maxAgeMs` to share a recent result instead of counting again.
+        counts({ maxAgeMs = 0 } = {}) {
+            if (!lastCounts || Date.now() - lastCounts.at >= maxAgeMs) {
+                const entry = { at: Date.now(), promise: countStates() };
+                entry.promise.catch(() => {
+                    if (lastCounts === entry) lastCounts = null;
+                });
+                lastCounts = entry;
+            }
+            return lastCounts.promise;
+        },
+
+        isEmpty: async () => !(await frontierCollection.findOne({ scanId }, { projection: { _id: 1 } })),
+        clear: () => frontierCollection.deleteMany({ scanId }),
+    };
+}
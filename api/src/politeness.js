@@ -0,0 +1,81 @@
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+export const POLITENESS_PROFILES = {
+    aggressive: { baseDelay: 250, latencyFactor: 0.5, maxDelay: 30000, maxRetries: 2 },
+    balanced: { baseDelay: 500, latencyFactor: 1, maxDelay: 60000, maxRetries: 3 },
+    polite: { baseDelay: 2000, latencyFactor: 2, maxDelay: 120000, maxRetries: 5 },
+};
+
+export const DEFAULT_PROFILE = 'aggressive';
+
+// Scans created before profiles existed only stored the aggressive flag.
+export const resolveProfileName = (name, isAggressive) => {
+    if (POLITENESS_PROFILES[name]) return name;
+    return isAggressive === false ? 'polite' : DEFAULT_PROFILE;
+};
+
+export function parseRetryAfter(value, now = Date.now()) {
+    if (!value) return 0;
+    if (/^\d+$/.test(value.trim())) return Number(value) * 1000;
+    const date = Date.parse(value);
+    return isNaN(date) ? 0 : Math.max(0, date - now);
+}
+
+export const isBackoffStatus = (statusCode) => statusCode === 429 || (statusCode >= 500 && statusCode < 600);
+
+export function createPolitenessController({ profile = DEFAULT_PROFILE } = {}) {
+    const settings = POLITENESS_PROFILES[profile] || POLITENESS_PROFILES[DEFAULT_PROFILE];
+    const hosts = new Map();
+
+    const stateFor = (host) => {
+        if (!hosts.has(host)) {
+            hosts.set(host, { crawlDelay: 0, latency: 0, backoff: 0, nextSlot: 0, blockedUntil: 0 });
+        }
+        return hosts.get(host);
+    };
+
+    function currentDelay(host) {
+        const state = stateFor(host);
+        const floor = Math.max(settings.baseDelay, state.crawlDelay);
+        const adaptive = Math.max(floor, state.latency * settings.latencyFactor);
+        return Math.round(Math.min(settings.maxDelay, adaptive * 2 ** state.backoff));
+    }
+
+    return {
+        profile: settings,
+        profileName: POLITENESS_PROFILES[profile] ? profile : DEFAULT_PROFILE,
+        currentDelay,
+
+        setCrawlDelay(host, seconds) {
+            stateFor(host).crawlDelay = Math.max(0, Number(seconds) || 0) * 1000;
+        },
+
+        // Reserves the next request slot for `host` and waits until it comes round.
+        async wait(host) {
+            const state = stateFor(host);
+            const now = Date.now();
+            const start = Math.max(now, state.nextSlot, state.blockedUntil);
+            state.nextSlot = start + currentDelay(host);
+            if (start > now) await sleep(start - now);
+        },
+
+        recordResponse(host, { statusCode, durationMs = 0, retryAfter = null }) {
+            const state = stateFor(host);
+            if (durationMs > 0) {
+                state.latency = state.latency ? state.latency * 0.8 + durationMs * 0.2 : durationMs;
+            }
+            if (isBackoffStatus(statusCode)) {
+                state.backoff = Math.min(state.backoff + 1, 10);
+                const waitMs = parseRetryAfter(retryAfter);
+                const until = Date.now() + Math.min(waitMs || currentDelay(host), settings.maxDelay);
+                state.blockedUntil = Math.max(state.blockedUntil, until);
+            } else if (state.backoff > 0) {
+                state.backoff--;
+            }
+        },
+
+        shouldRetry(attempts) {
+            return attempts < settings.maxRetries;
+        },
+    };
+}
@@ -0,0 +1,128 @@
+import { Worker } from 'node:worker_threads';
+
+const THREAD_FILE = new URL('./crawler-thread.js', import.meta.url);
+
+// Runs crawler batches in worker threads so page parsing never blocks the API.
+// At most `size` batches run at once; later ones wait in a FIFO queue. Fetches
+// and domain checks from every thread share one global budget: threads ask for
+// a permit before each one and hand it back when done.
+export function createCrawlerPool({
+    mongoUrl,
+    dbName,
+    size = Number(process.env.CRAWLER_POOL_SIZE) || 4,
+    maxFetches = Number(process.env.GLOBAL_MAX_FETCHES) || 20,
+    maxChecks = Number(process.env.GLOBAL_MAX_CHECKS) || 20,
+    threadFile = THREAD_FILE,
+}) {
+    const budgets = {
+        fetch: { active: 0, max: maxFetches, waiting: [] },
+        check: { active: 0, max: maxChecks, waiting: [] },
+    };
+    const running = new Set();
+    const pending = [];
+
+    function utilisation() {
+        const describe = ({ active, max, waiting }) => ({ active, max, waiting: waiting.length });
+        return {
+            size,
+            busy: running.size,
+            queuedScans: pending.length,
+            fetches: describe(budgets.fetch),
+            checks: describe(budgets.check),
+        };
+    }
+
+    function grant(job, kind, requestId) {
+        budgets[kind].active++;
+        job.held[kind]++;
+        job.worker.postMessage({ type: 'grant', requestId });
+    }
+
+    function acquire(job, kind, requestId) {
+        const budget = budgets[kind];
+        if (budget.active < budget.max) grant(job, kind, requestId);
+        else budget.waiting.push({ job, requestId });
+    }
+
+    function release(job, kind, count = 1) {
+        const budget = budgets[kind];
+        budget.active -= count;
+        job.held[kind] -= count;
+        while (budget.active < budget.max && budget.waiting.length) {
+            const next = budget.waiting.shift();
+            grant(next.job, kind, next.requestId);
+        }
+    }
+
+    function startJob(job) {
+        running.add(job);
+        job.held = { fetch: 0, check: 0 };
+        job.worker = new Worker(threadFile, {
+            workerData: { mongoUrl, dbName, scanId: job.scanId, options: job.options },
+        });
+        if (job.stopRequested) job.worker.postMessage({ type: 'stop' });
+
+        let outcome = null;
+        job.worker.on('message', (msg) => {
+            if (msg.type === 'event') {
+                job.onEvent(msg.payload.type === 'stats' ? { ...msg.payload, pool: utilisation() } : msg.payload);
+            } else if (msg.type === 'acquire') {
+                acquire(job, msg.kind, msg.requestId);
+            } else if (msg.type === 'release') {
+                release(job, msg.kind);
+            } else if (msg.type === 'done' || msg.type === 'failed') {
+                outcome = msg;
+                job.worker.terminate();
+            }
+        });
+        job.worker.on('error', (err) => {
+            outcome ??= { type: 'failed', error: err.message };
+        });
+        job.worker.on('exit', () => finishJob(job, outcome || { type: 'failed', error: 'Crawler thread exited unexpectedly' }));
+    }
+
+    function finishJob(job, outcome) {
+        running.delete(job);
+        for (const kind of Object.keys(budgets)) {
+            budgets[kind].waiting = budgets[kind].waiting.filter((w) => w.job !== job);
+            if (job.held[kind]) release(job, kind, job.held[kind]);
+        }
+        if (outcome.type === 'done') job.resolve();
+        else job.reject(new Error(outcome.error));
+        drain();
+    }
+
+    function drain() {
+        while (running.size < size && pending.length) startJob(pending.shift());
+        pending.forEach((job, index) => job.onEvent({ type: 'queued', position: index + 1, pool: utilisation() }));
+    }
+
+    // Returns a handle like the in-process crawler: start() resolves when the
+    // batch has finished (or was stopped while still waiting for a thread).
+    function run(scanId, options, onEvent = () => {}) {
+        const job = { scanId: scanId.toString(), options, onEvent, stopRequested: false };
+        const done = new Promise((resolve, reject) => {
+            job.resolve = resolve;
+            job.reject = reject;
+        });
+        pending.push(job);
+        drain();
+        return {
+            start: () => done,
+            get queued() { return pending.includes(job); },
+            stop() {
+                job.stopRequested = true;
+                const index = pending.indexOf(job);
+                if (index !== -1) {
+                    pending.splice(index, 1);
+                    job.resolve();
+                    drain();
+                } else {
+                    job.worker?.postMessage({ type: 'stop' });
+                }
+            },
+        };
+    }
+
+    return { run, utilisation };
+}
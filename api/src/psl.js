@@ -0,0 +1,61 @@
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { domainToASCII } from 'node:url';
+import net from 'node:net';
+
+const DEFAULT_LIST_FILE = fileURLToPath(new URL('../data/public_suffix_list.dat', import.meta.url));
+
+export function loadPublicSuffixList({
+    file = process.env.PSL_FILE || DEFAULT_LIST_FILE,
+    includePrivate = process.env.PSL_INCLUDE_PRIVATE === 'true',
+} = {}) {
+    const rules = new Set();
+    const wildcards = new Set();
+    const exceptions = new Set();
+    let inPrivate = false;
+
+    for (const raw of readFileSync(file, 'utf8').split('\n')) {
+        const line = raw.trim();
+        if (line.includes('===BEGIN PRIVATE DOMAINS===')) inPrivate = true;
+        if (!line || line.startsWith('//') || (inPrivate && !includePrivate)) continue;
+        const rule = line.split(/\s/)[0];
+        if (rule.startsWith('!')) exceptions.add(domainToASCII(rule.slice(1)));
+        else if (rule.startsWith('*.')) wildcards.add(domainToASCII(rule.slice(2)));
+        else rules.add(domainToASCII(rule));
+    }
+
+    // Returns the number of labels in the public suffix of `labels`.
+    function suffixLength(labels) {
+        for (let i = 0; i < labels.length; i++) {
+            const candidate = labels.slice(i).join('.');
+            if (exceptions.has(candidate)) return labels.length - i - 1;
+            if (i > 0 && wildcards.has(candidate)) return labels.length - i + 1;
+            if (rules.has(candidate)) return labels.length - i;
+        }
+        return 1; // the implicit "*" rule
+    }
+
+    function parse(hostname) {
+        const host = domainToASCII((hostname || '').toLowerCase().replace(/\.$/, ''));
+        if (!host || net.isIP(host.replace(/^\[|\]$/g, ''))) return null;
+        const labels = host.split('.');
+        const length = suffixLength(labels);
+        if (labels.length <= length) return null;
+        const domain = labels.slice(-length - 1).join('.');
+        const subdomain = labels.slice(0, -length - 1).join('.');
+        return { hostname: host, domain, suffix: labels.slice(-length).join('.'), subdomain: subdomain || null };
+    }
+
+    return {
+        parse,
+        getRegistrableDomain: (hostname) => parse(hostname)?.domain || null,
+        getPublicSuffix: (hostname) => parse(hostname)?.suffix || null,
+    };
+}
+
+let defaultList = null;
+
+export function parseHostname(hostname) {
+    defaultList ??= loadPublicSuffixList();
+    return defaultList.parse(hostname);
+}
@@ -0,0 +1,83 @@
+// Finds every outbound reference on a parsed page, not just anchors: expired
+// domains also hide in embedded resources, redirects, forms and addresses.
+export const REFERENCE_TYPES = {
+    ANCHOR: 'anchor',
+    IMAGE: 'image',
+    SCRIPT: 'script',
+    IFRAME: 'iframe',
+    LINK: 'link',
+    CSS: 'css',
+    META_REFRESH: 'meta-refresh',
+    FORM: 'form',
+    MAILTO: 'mailto',
+};
+
+// Whoever registers a dead script or iframe host gets to run code on the
+// linking page, so these are reported as high risk.
+export const HIGH_RISK_TYPES = [REFERENCE_TYPES.SCRIPT, REFERENCE_TYPES.IFRAME];
+
+// Same-site references of these types are pages worth crawling.
+export const FOLLOW_TYPES = [REFERENCE_TYPES.ANCHOR, REFERENCE_TYPES.IFRAME, REFERENCE_TYPES.META_REFRESH];
+
+export const riskOf = (types) => (types.some((type) => HIGH_RISK_TYPES.includes(type)) ? 'high' : 'normal');
+
+const CSS_URL = /url\(\s*(['"]?)([^'")]+)\1\s*\)/gi;
+
+const parseSrcset = (value) => value.split(',').map((candidate) => candidate.trim().split(/\s+/)[0]).filter(Boolean);
+
+const cleanText = (value) => (value || '').replace(/\s+/g, ' ').trim().slice(0, 300);
+
+// Returns [{ type, href, el, text }] grouped by type. `href` is the
+// raw attribute value; mailto references keep their `mailto:` prefix.
+export function extractReferences($) {
+    const refs = [];
+    const add = (type, href, el, text = '') => {
+        if (href && href.trim()) refs.push({ type, href: href.trim(), el, text });
+    };
+
+    for (const el of $('a[href], area[href]')) {
+        const href = $(el).attr('href');
+        const type = /^\s*mailto:/i.test(href) ? REFERENCE_TYPES.MAILTO : REFERENCE_TYPES.ANCHOR;
+        add(type, href, el, cleanText($(el).text() || $(el).find('img[alt]').attr('alt')));
+    }
+    for (const el of $('img[src], img[srcset], source[srcset], source[src], input[type="image"][src]')) {
+        add(REFERENCE_TYPES.IMAGE, $(el).attr('src'), el, cleanText($(el).attr('alt')));
+        for (const href of parseSrcset($(el).attr('srcset') || '')) add(REFERENCE_TYPES.IMAGE, href, el);
+    }
+    for (const el of $('script[src]')) add(REFERENCE_TYPES.SCRIPT, $(el).attr('src'), el);
+    for (const el of $('iframe[src], frame[src], embed[src], object[data]')) {
+        add(REFERENCE_TYPES.IFRAME, $(el).attr('src') || $(el).attr('data'), el);
+    }
+    for (const el of $('link[href]')) {
+        if (/\bcanonical\b/i.test($(el).attr('rel') || '')) continue;
+        add(REFERENCE_TYPES.LINK, $(el).attr('href'), el, cleanText($(el).attr('rel')));
+    }
+    for (const el of $('form[action]')) add(REFERENCE_TYPES.FORM, $(el).attr('action'), el);
+    for (const el of $('meta[http-equiv]')) {
+        if (($(el).attr('http-equiv') || '').toLowerCase() !== 'refresh') continue;
+        const match = /url\s*=\s*['"]?([^'"]+)/i.exec($(el).attr('content') || '');
+        if (match) add(REFERENCE_TYPES.META_REFRESH, match[1], el);
+    }
+    const cssSources = [
+        ...$('style').toArray().map((el) => [el, $(el).text()]),
+        ...$('[style]').toArray().map((el) => [el, $(el).attr('style')]),
+    ];
+    for (const [el, css] of cssSources) {
+        for (const match of (css || '').matchAll(CSS_URL)) {
+            if (!match[2].startsWith('data:')) add(REFERENCE_TYPES.CSS, match[2], el);
+        }
+    }
+    return refs;
+}
+
+// The host part of a mailto: address, or null when there is none.
+export function mailtoHost(href) {
+    let address = href.replace(/^\s*mailto:/i, '').split('?')[0].split(',')[0];
+    try {
+        address = decodeURIComponent(address);
+    } catch {
+        // keep the raw value
+    }
+    const at = address.lastIndexOf('@');
+    return at === -1 ? null : address.slice(at + 1).trim().toLowerCase() || null;
+}
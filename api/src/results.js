@@ -0,0 +1,166 @@
+import { LIFECYCLE_STAGES } from './whois/index.js';
+
+// Turns /results query-string parameters into a Mongo filter, sort and page.
+// Every value is validated or escaped here so user input never reaches a
+// query operator unchecked; bad input throws so routes can answer 400.
+
+export const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+export const RESULT_SORT_FIELDS = [
+    'domain', 'website', 'tld', 'status', 'expiryDate', 'foundAt', 'registrar', 'triageStatus', 'lifecycleStage', 'estimatedDropDate', 'score',
+];
+
+export const TRIAGE_STATUSES = ['new', 'checked', 'shortlisted', 'bought', 'not-worth-it'];
+export const DEFAULT_TRIAGE_STATUS = 'new';
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 500;
+
+const single = (value) => (Array.isArray(value) ? value[0] : value);
+
+function parseDate(value, name) {
+    if (value === undefined || value === '') return null;
+    const date = new Date(single(value));
+    if (Number.isNaN(date.getTime())) throw new Error(`${name} must be a valid date`);
+    return date;
+}
+
+function dateRange(from, to, fromName, toName) {
+    const range = {};
+    const start = parseDate(from, fromName);
+    const end = parseDate(to, toName);
+    if (start) range.$gte = start;
+    if (end) {
+        // A bare date (YYYY-MM-DD) means "up to the end of that day".
+        if (/^\d{4}-\d{2}-\d{2}$/.test(single(to))) end.setUTCDate(end.getUTCDate() + 1);
+        range.$lt = end;
+    }
+    return Object.keys(range).length ? range : null;
+}
+
+// WHOIS dates are stored as YYYY-MM-DD strings, which compare correctly as
+// text but never match a Date, so their ranges are built from day strings.
+function dayRange(from, to, fromName, toName) {
+    const range = {};
+    const start = parseDate(from, fromName);
+    const end = parseDate(to, toName);
+    if (start) range.$gte = start.toISOString().slice(0, 10);
+    if (end) range.$lte = end.toISOString().slice(0, 10);
+    return Object.keys(range).length ? range : null;
+}
+
+export function buildResultsQuery(params = {}) {
+    const website = single(params.website);
+    const tld = single(params.tld);
+    const reason = single(params.reason);
+    const referenceType = single(params.referenceType);
+    const query = {};
+    if (website) query.website = { $regex: escapeRegex(String(website)), $options: 'i' };
+    if (tld) query.tld = { $regex: `^${escapeRegex(String(tld).replace(/^\./, ''))}$`, $options: 'i' };
+    if (referenceType) query.referenceTypes = String(referenceType);
+    if (single(params.risk) === 'high') query.risk = 'high';
+    const triageStatus = single(params.triageStatus);
+    if (triageStatus) {
+        if (!TRIAGE_STATUSES.includes(triageStatus)) throw new Error(`triageStatus must be one of ${TRIAGE_STATUSES.join(', ')}`);
+        // Results stored before triage existed have no status and count as new.
+        query.triageStatus = triageStatus === DEFAULT_TRIAGE_STATUS ? { $in: [triageStatus, null] } : triageStatus;
+    }
+    const tag = single(params.tag);
+    if (tag) query.tags = normalizeTag(tag);
+    const lifecycleStage = single(params.lifecycleStage);
+    if (lifecycleStage) {
+        if (!LIFECYCLE_STAGES.includes(lifecycleStage)) {
+            throw new Error(`lifecycleStage must be one of ${LIFECYCLE_STAGES.join(', ')}`);
+        }
+        query.lifecycleStage = lifecycleStage;
+    }
+    const minScore = single(params.minScore);
+    if (minScore !== undefined && minScore !== '') {
+        const score = Number(minScore);
+        if (!Number.isFinite(score) || score < 0 || score > 100) throw new Error('minScore must be between 0 and 100');
+        query.score = { $gte: score };
+    }
+    const transition = single(params.transition);
+    if (transition) query.lastTransitions = transition === 'any' ? { $exists: true, $ne: [] } : String(transition);
+    if (reason) {
+        if (reason === 'has-expiry-date') {
+            query.expiryDate = { $ne: null };
+        } else {
+            query.expiryDateReason = String(reason);
+        }
+    }
+
+    const found = dateRange(params.foundFrom, params.foundTo, 'foundFrom', 'foundTo');
+    if (found) query.foundAt = found;
+    const expiry = dayRange(params.expiryFrom, params.expiryTo, 'expiryFrom', 'expiryTo');
+    if (expiry) query.expiryDate = { ...query.expiryDate, ...expiry };
+    const drop = dayRange(params.dropFrom, params.dropTo, 'dropFrom', 'dropTo');
+    if (drop) query.estimatedDropDate = drop;
+    return query;
+}
+
+// Stages sort in lifecycle order, not alphabetically.
+const SORT_KEYS = { lifecycleStage: 'lifecycleRank' };
+
+export function parseResultsSort(params = {}) {
+    const field = single(params.sort) || 'foundAt';
+    if (!RESULT_SORT_FIELDS.includes(field)) {
+        throw new Error(`sort must be one of ${RESULT_SORT_FIELDS.join(', ')}`);
+    }
+    const order = single(params.order) || (field === 'foundAt' ? 'desc' : 'asc');
+    if (order !== 'asc' && order !== 'desc') throw new Error("order must be 'asc' or 'desc'");
+    // _id breaks ties so pages stay stable when many rows share a value.
+    return { field, order, sort: { [SORT_KEYS[field] || field]: order === 'asc' ? 1 : -1, _id: 1 } };
+}
+
+export function parseResultsPage(params = {}) {
+    const page = params.page === undefined ? 1 : Number(single(params.page));
+    const pageSize = params.pageSize === undefined ? DEFAULT_PAGE_SIZE : Number(single(params.pageSize));
+    if (!Number.isInteger(page) || page < 1) throw new Error('page must be a positive integer');
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+        throw new Error(`pageSize must be between 1 and ${MAX_PAGE_SIZE}`);
+    }
+    return { page, pageSize, skip: (page - 1) * pageSize };
+}
+
+const MAX_TAGS = 50;
+const MAX_NOTES_LENGTH = 5000;
+
+export const normalizeTag = (tag) => String(tag).trim().toLowerCase().replace(/\s+/g, '-').slice(0, 50);
+
+const parseTags = (value, name) => {
+    if (!Array.isArray(value)) throw new Error(`${name} must be an array of strings`);
+    const tags = [...new Set(value.map(normalizeTag).filter(Boolean))];
+    if (tags.length > MAX_TAGS) throw new Error(`${name} may hold at most ${MAX_TAGS} tags`);
+    return tags;
+};
+
+// Validates a triage edit and returns the Mongo update operations for it.
+// `tags` replaces the whole list; `addTags`/`removeTags` adjust it, which is
+// what bulk edits use. $addToSet and $pull cannot touch the same field in
+// one update, so removals come back as a separate step.
+export function parseTriageUpdate(body = {}) {
+    const set = {};
+    if (body.triageStatus !== undefined) {
+        if (!TRIAGE_STATUSES.includes(body.triageStatus)) {
+            throw new Error(`triageStatus must be one of ${TRIAGE_STATUSES.join(', ')}`);
+        }
+        set.triageStatus = body.triageStatus;
+    }
+    if (body.notes !== undefined) {
+        if (typeof body.notes !== 'string') throw new Error('notes must be a string');
+        set.notes = body.notes.slice(0, MAX_NOTES_LENGTH);
+    }
+    if (body.tags !== undefined) set.tags = parseTags(body.tags, 'tags');
+    const addTags = body.addTags !== undefined ? parseTags(body.addTags, 'addTags') : [];
+    const removeTags = body.removeTags !== undefined ? parseTags(body.removeTags, 'removeTags') : [];
+    if (set.tags && (addTags.length || removeTags.length)) throw new Error('Use either tags or addTags/removeTags, not both');
+
+    const updates = [];
+    const first = {};
+    if (Object.keys(set).length) first.$set = { ...set, triageUpdatedAt: new Date() };
+    if (addTags.length) first.$addToSet = { tags: { $each: addTags } };
+    if (Object.keys(first).length) updates.push(first);
+    if (removeTags.length) updates.push({ $pull: { tags: { $in: removeTags } }, $set: { triageUpdatedAt: new Date() } });
+    if (!updates.length) throw new Error('Nothing to update: send triageStatus, tags, addTags, removeTags or notes');
+    return updates;
+}
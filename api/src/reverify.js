@@ -0,0 +1,160 @@
+import * as punycode from 'node:punycode';
+import PQueue from 'p-queue';
+import { createDnsChecker, describeDnsClass } from './dns.js';
+import { createWhoisClient } from './whois/index.js';
+
+// Re-checks stored results on an interval so a domain that has been
+// re-registered (or has finally dropped) since it was found does not sit in
+// the list looking like a bargain. Every check is kept in a history
+// collection; changes between checks are flagged as transitions.
+
+export const TRANSITIONS = {
+    NOW_AVAILABLE: 'now-available',
+    RE_REGISTERED: 're-registered',
+    RESOLVING: 'resolving',
+    RENEWED: 'renewed',
+    REGISTRAR_CHANGED: 'registrar-changed',
+};
+
+const SNAPSHOT_FIELDS = [
+    'status', 'code', 'dnsClass', 'expiryDate', 'creationDate', 'registrar', 'available', 'domainStatus', 'whoisProvider',
+    'lifecycleStage', 'estimatedDropDate',
+];
+
+const time = (value) => (value ? new Date(value).getTime() : null);
+
+export function detectTransitions(prev, next) {
+    const transitions = [];
+    let reRegistered = false;
+    if (next.available === true && prev.available !== true) transitions.push(TRANSITIONS.NOW_AVAILABLE);
+    if (prev.available === true && next.available === false) reRegistered = true;
+    if (time(prev.creationDate) && time(next.creationDate) > time(prev.creationDate)) reRegistered = true;
+    if (reRegistered) transitions.push(TRANSITIONS.RE_REGISTERED);
+    if (prev.status !== 'ok' && next.status === 'ok') transitions.push(TRANSITIONS.RESOLVING);
+    if (!reRegistered && time(prev.expiryDate) && time(next.expiryDate) > time(prev.expiryDate)) {
+        transitions.push(TRANSITIONS.RENEWED);
+    }
+    if (!reRegistered && prev.registrar && next.registrar && prev.registrar !== next.registrar) {
+        transitions.push(TRANSITIONS.REGISTRAR_CHANGED);
+    }
+    return transitions;
+}
+
+const WHOIS_FIELDS = [
+    'expiryDate', 'expiryDateReason', 'creationDate', 'updatedDate', 'registrar', 'domainStatus', 'available', 'whoisProvider',
+    'lifecycleStage', 'lifecycleRank', 'estimatedDropDate',
+];
+
+const pickFields = (doc, fields) => Object.fromEntries(fields.map((field) => [field, doc[field] ?? null]));
+const pickSnapshot = (doc) => pickFields(doc, SNAPSHOT_FIELDS);
+
+export function createReverifier({
+    resultsCollection,
+    historyCollection,
+    intervalHours = process.env.REVERIFY_INTERVAL_HOURS !== undefined ? Number(process.env.REVERIFY_INTERVAL_HOURS) : 168,
+    batchSize = Number(process.env.REVERIFY_BATCH_SIZE) || 100,
+    concurrency = 3,
+    dnsChecker = createDnsChecker(),
+    whoisClient = createWhoisClient(),
+    scorer = null,
+    onTransitions = null,
+}) {
+    const enabled = intervalHours > 0;
+
+    async function ensureIndexes() {
+        await historyCollection.createIndex({ resultId: 1, checkedAt: -1 });
+        await resultsCollection.createIndex({ verifyAttemptAt: 1 });
+    }
+
+    // DNS and WHOIS state of a domain right now, in the shape stored on results.
+    async function inspect(domain, suffix) {
+        const asciiDomain = domain.includes('xn--') ? domain : punycode.toASCII(domain);
+        const dnsResult = await dnsChecker.classify(asciiDomain);
+        const whois = await whoisClient.lookup(asciiDomain, { suffix });
+        const { status, code = null, dnsClass } = describeDnsClass(dnsResult.dnsClass);
+        return {
+            status, code, dnsClass, nameservers: dnsResult.nameservers, dnsErrorCode: dnsResult.errorCode,
+            expiryDate: whois.expiryDate, expiryDateReason: whois.reason, creationDate: whois.creationDate, updatedDate: whois.updatedDate,
+            registrar: whois.registrar, domainStatus: whois.statuses, available: whois.available, whoisProvider: whois.provider,
+            lifecycleStage: whois.lifecycleStage, lifecycleRank: whois.lifecycleRank, estimatedDropDate: whois.estimatedDropDate,
+        };
+    }
+
+    async function record(result, fresh, checkedAt) {
+        // When no WHOIS provider answered, the registration data we already
+        // hold is still the best we know; don't let the gap read as a change.
+        const snapshot = fresh.whoisProvider ? fresh : { ...fresh, ...pickFields(result, WHOIS_FIELDS) };
+        // The first re-check also stores what the scan saw, so the timeline
+        // starts at the moment the domain was found.
+        if (!result.lastVerifiedAt) {
+            await historyCollection.insertOne({
+                resultId: result._id, website: result.website, domain: result.domain,
+                checkedAt: result.foundAt || checkedAt, source: 'scan', ...pickSnapshot(result), transitions: [],
+            });
+        }
+        const transitions = detectTransitions(result, snapshot);
+        await historyCollection.insertOne({
+            resultId: result._id, website: result.website, domain: result.domain,
+            checkedAt, source: 'reverify', ...pickSnapshot(snapshot), transitions,
+        });
+        await resultsCollection.updateOne({ _id: result._id }, {
+            $set: {
+                ...snapshot, lastVerifiedAt: checkedAt, verifyAttemptAt: checkedAt, lastVerifyError: null,
+                ...(transitions.length && { lastTransitions: transitions, lastTransitionAt: checkedAt }),
+            },
+            $inc: { verificationCount: 1 },
+        });
+        return transitions;
+    }
+
+    async function verifyResult(result, inspections = new Map()) {
+        // Several sites can link the same domain; look it up once per run.
+        if (!inspections.has(result.domain)) inspections.set(result.domain, inspect(result.domain, result.tld));
+        const snapshot = await inspections.get(result.domain);
+        return record(result, snapshot, new Date());
+    }
+
+    // Re-checks up to one batch of results whose last attempt is older than the
+    // interval. Failed lookups count as attempts too, so a domain that never
+    // answers cannot hold the front of the queue. Returns how many were
+    // checked and whether more are due.
+    async function runDue() {
+        if (!enabled) return { checked: 0, more: false, transitions: 0 };
+        const dueBefore = new Date(Date.now() - intervalHours * 60 * 60 * 1000);
+        const due = await resultsCollection
+            .find({ $or: [{ verifyAttemptAt: null }, { verifyAttemptAt: { $lt: dueBefore } }], foundAt: { $lt: dueBefore } })
+            .sort({ verifyAttemptAt: 1, foundAt: 1 })
+            .limit(batchSize)
+            .toArray();
+        const queue = new PQueue({ concurrency });
+        const inspections = new Map();
+        const changedResults = [];
+        for (const result of due) {
+            queue.add(async () => {
+                try {
+                    const changed = await verifyResult(result, inspections);
+                    if (changed.length) changedResults.push({ resultId: result._id, transitions: changed });
+                } catch (err) {
+                    console.error(`Re-verification of ${result.domain} failed:`, err.message);
+                    await resultsCollection.updateOne(
+                        { _id: result._id },
+                        { $set: { verifyAttemptAt: new Date(), lastVerifyError: err.message } }
+                    ).catch(() => {});
+                }
+            });
+        }
+        await queue.onIdle();
+        // Domain age feeds the score, and a fresh WHOIS answer may have changed it.
+        if (scorer && inspections.size) await scorer.scoreDomains([...inspections.keys()]);
+        // Reported after scoring so listeners see the result as stored now.
+        if (onTransitions) {
+            for (const { resultId, transitions } of changedResults) {
+                await onTransitions(resultId, transitions)
+                    .catch((err) => console.error('Transition listener failed:', err.message));
+            }
+        }
+        return { checked: due.length, more: due.length === batchSize, transitions: changedResults.length };
+    }
+
+    return { enabled, intervalHours, ensureIndexes, inspect, verifyResult, runDue };
+}
@@ -0,0 +1,39 @@
+// Every fresh scan of a website is a run; resumed batches belong to the run
+// they continue. Each run records what it found in the findings collection,
+// so two runs of the same site can be compared.
+
+// Fields compared between runs to decide whether a domain changed.
+export const DIFF_FIELDS = ['status', 'code', 'expiryDate', 'registrar', 'available', 'lifecycleStage'];
+
+const sameValue = (a, b) => String(a ?? '') === String(b ?? '');
+
+const describe = (finding) => ({
+    domain: finding.domain,
+    ...Object.fromEntries(DIFF_FIELDS.map((field) => [field, finding[field] ?? null])),
+    estimatedDropDate: finding.estimatedDropDate ?? null,
+    foundAt: finding.foundAt,
+});
+
+// `added`: dead domains the later run found that the earlier one did not.
+// `removed`: found before but not any more, because the link is gone or the
+// domain resolves again. `changed`: found by both with different details.
+export function diffRuns(fromFindings, toFindings) {
+    const before = new Map(fromFindings.map((finding) => [finding.domain, finding]));
+    const after = new Map(toFindings.map((finding) => [finding.domain, finding]));
+    const added = [];
+    const changed = [];
+    for (const [domain, finding] of after) {
+        const previous = before.get(domain);
+        if (!previous) {
+            added.push(describe(finding));
+            continue;
+        }
+        const changes = DIFF_FIELDS
+            .filter((field) => !sameValue(previous[field], finding[field]))
+            .map((field) => ({ field, from: previous[field] ?? null, to: finding[field] ?? null }));
+        if (changes.length) changed.push({ ...describe(finding), changes });
+    }
+    const removed = [...before.values()].filter((finding) => !after.has(finding.domain)).map(describe);
+    const byDomain = (a, b) => a.domain.localeCompare(b.domain);
+    return { added: added.sort(byDomain), removed: removed.sort(byDomain), changed: changed.sort(byDomain) };
+}
@@ -0,0 +1,170 @@
+import os from 'node:os';
+import { randomUUID } from 'node:crypto';
+
+// Persistent job runner backed by a Mongo collection. Jobs are keyed by
+// (type, key) so re-scheduling the same thing replaces the pending run rather
+// than stacking duplicates. Any number of API processes can poll the same
+// collection; a job is only run by the process that claims its lock.
+// With `concurrency` above one, up to that many jobs run at once, but never
+// two with the same `data.group`. `removeFinished` deletes a job's document
+// once it succeeds or runs out of attempts instead of keeping it as a record.
+export function createJobScheduler({
+    jobsCollection,
+    handlers = {},
+    pollIntervalMs = Number(process.env.SCHEDULER_POLL_MS) || 15000,
+    lockTimeoutMs = 10 * 60 * 1000,
+    retryDelayMs = 60 * 1000,
+    maxAttempts = 5,
+    owner = `${os.hostname()}:${process.pid}:${randomUUID().slice(0, 8)}`,
+    concurrency = 1,
+    removeFinished = false,
+}) {
+    let timer = null;
+    let polling = false;
+    let wake = null;
+    const busyGroups = new Set();
+
+    async function ensureIndexes() {
+        await jobsCollection.createIndex({ type: 1, key: 1 }, { unique: true });
+        await jobsCollection.createIndex({ status: 1, runAt: 1 });
+    }
+
+    async function schedule(type, key, runAt, data = {}) {
+        const now = new Date();
+        await jobsCollection.updateOne(
+            { type, key: String(key) },
+            {
+                $set: {
+                    runAt: new Date(runAt), data, status: 'pending', attempts: 0, maxAttempts,
+                    lockedBy: null, lockedAt: null, lastError: null, updatedAt: now,
+                },
+                $setOnInsert: { createdAt: now },
+            },
+            { upsert: true }
+        );
+        return get(type, key);
+    }
+
+    const get = (type, key) => jobsCollection.findOne({ type, key: String(key) });
+
+    async function reschedule(type, key, runAt) {
+        const res = await jobsCollection.updateOne(
+            { type, key: String(key), status: { $in: ['pending', 'failed', 'cancelled'] } },
+            { $set: { runAt: new Date(runAt), status: 'pending', attempts: 0, lastError: null, updatedAt: new Date() } }
+        );
+        return res.matchedCount > 0 ? get(type, key) : null;
+    }
+
+    async function cancel(type, key) {
+        const res = await jobsCollection.updateOne(
+            { type, key: String(key), status: 'pending' },
+            { $set: { status: 'cancelled', updatedAt: new Date() } }
+        );
+        return res.matchedCount > 0;
+    }
+
+    // Claims one due job, including ones whose previous owner died mid-run.
+    async function claim() {
+        const now = new Date();
+        return jobsCollection.findOneAndUpdate(
+            {
+                type: { $in: Object.keys(handlers) },
+                ...(busyGroups.size && { 'data.group': { $nin: [...busyGroups] } }),
+                $or: [
+                    { status: 'pending', runAt: { $lte: now } },
+                    { status: 'running', lockedAt: { $lte: new Date(now - lockTimeoutMs) } },
+                ],
+            },
+            { $set: { status: 'running', lockedBy: owner, lockedAt: now, updatedAt: now }, $inc: { attempts: 1 } },
+            { sort: { runAt: 1 }, returnDocument: 'after' }
+        );
+    }
+
+    async function runJob(job) {
+        try {
+            await handlers[job.type](job);
+            if (removeFinished) {
+                await jobsCollection.deleteOne({ _id: job._id, lockedBy: owner });
+                return;
+            }
+            await jobsCollection.updateOne(
+                { _id: job._id, lockedBy: owner },
+                { $set: { status: 'done', lockedBy: null, lockedAt: null, lastError: null, lastRunAt: new Date(), updatedAt: new Date() } }
+            );
+        } catch (error) {
+            console.error(`Job ${job.type}/${job.key} failed (attempt ${job.attempts}):`, error.message);
+            const exhausted = job.attempts >= (job.maxAttempts || maxAttempts);
+            if (exhausted && removeFinished) {
+                await jobsCollection.deleteOne({ _id: job._id, lockedBy: owner });
+                return;
+            }
+            await jobsCollection.updateOne(
+                { _id: job._id, lockedBy: owner },
+                {
+                    $set: {
+                        status: exhausted ? 'failed' : 'pending',
+                        runAt: new Date(Date.now() + retryDelayMs * 2 ** (job.attempts - 1)),
+                        lockedBy: null, lockedAt: null, lastError: error.message, lastRunAt: new Date(), updatedAt: new Date(),
+                    },
+                }
+            );
+        }
+    }
+
+    // Claims and runs due jobs until none are left. A poll() call while one is
+    // in progress wakes it up so newly scheduled jobs are not left waiting.
+    async function poll() {
+        if (polling) {
+            wake?.();
+            return;
+        }
+        polling = true;
+        const running = new Set();
+        try {
+            for (;;) {
+                const job = running.size < concurrency ? await claim() : null;
+                if (job) {
+                    const group = job.data?.group;
+                    if (group !== undefined) busyGroups.add(group);
+                    const run = runJob(job).catch((error) => {
+                        console.error(`Job ${job.type}/${job.key} could not be settled:`, error.message);
+                    }).finally(() => {
+                        running.delete(run);
+                        if (group !== undefined) busyGroups.delete(group);
+                    });
+                    running.add(run);
+                    continue;
+                }
+                if (!running.size) break;
+                await new Promise((resolve) => {
+                    wake = resolve;
+                    Promise.race(running).then(resolve);
+                });
+                wake = null;
+            }
+        } catch (error) {
+            console.error('Scheduler poll failed:', error.message);
+            await Promise.allSettled(running);
+        } finally {
+            polling = false;
+        }
+    }
+
+    return {
+        owner,
+        schedule,
+        reschedule,
+        cancel,
+        get,
+        poll,
+        async start() {
+            await ensureIndexes();
+            await poll();
+            timer = setInterval(poll, pollIntervalMs);
+        },
+        stop() {
+            if (timer) clearInterval(timer);
+            timer = null;
+        },
+    };
+}
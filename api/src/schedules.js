@@ -0,0 +1,115 @@
+import { parseCron, isValidTimeZone, upcomingRuns } from './cron.js';
+import { POLITENESS_PROFILES, DEFAULT_PROFILE } from './politeness.js';
+
+// A schedule starts a fresh scan of each of its start URLs whenever its cron
+// expression fires. Each firing is stored as an execution that points at the
+// scans it started, so its outcome follows those scans as they finish.
+
+const MAX_START_URLS = 100;
+
+const DEFAULT_OPTIONS = {
+    batchSize: 1000, concurrency: 5, politeness: DEFAULT_PROFILE, seedSitemaps: true,
+    autoResume: { enabled: false, delayMinutes: 5, repeat: 5 },
+};
+
+const positiveInteger = (value, name) => {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) throw new Error(`${name} must be a positive integer`);
+    return number;
+};
+
+function parseStartUrls(value) {
+    const list = Array.isArray(value) ? value : String(value || '').split(/[\s,]+/);
+    const urls = [...new Set(list.map((url) => String(url).trim()).filter(Boolean))];
+    if (!urls.length) throw new Error('startUrls must list at least one URL');
+    if (urls.length > MAX_START_URLS) throw new Error(`A schedule can scan at most ${MAX_START_URLS} websites`);
+    for (const url of urls) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch {
+            throw new Error(`Invalid start URL "${url}"`);
+        }
+        if (!['http:', 'https:'].includes(parsed.protocol)) throw new Error(`Start URL "${url}" must be http or https`);
+    }
+    return urls;
+}
+
+export function parseScanOptions(value = {}, current = DEFAULT_OPTIONS) {
+    const options = { ...current, autoResume: { ...current.autoResume } };
+    if (value.batchSize !== undefined) options.batchSize = positiveInteger(value.batchSize, 'batchSize');
+    if (value.concurrency !== undefined) options.concurrency = positiveInteger(value.concurrency, 'concurrency');
+    if (value.politeness !== undefined) {
+        if (!POLITENESS_PROFILES[value.politeness]) {
+            throw new Error(`politeness must be one of ${Object.keys(POLITENESS_PROFILES).join(', ')}`);
+        }
+        options.politeness = value.politeness;
+    }
+    if (value.seedSitemaps !== undefined) options.seedSitemaps = Boolean(value.seedSitemaps);
+    if (value.autoResume !== undefined) {
+        const { enabled, delayMinutes, repeat } = value.autoResume || {};
+        if (enabled !== undefined) options.autoResume.enabled = Boolean(enabled);
+        if (delayMinutes !== undefined) options.autoResume.delayMinutes = positiveInteger(delayMinutes, 'autoResume.delayMinutes');
+        if (repeat !== undefined) {
+            options.autoResume.repeat = repeat === 'infinite' ? 'infinite' : positiveInteger(repeat, 'autoResume.repeat');
+        }
+    }
+    return options;
+}
+
+// Validates a POST body, or a PATCH body against the stored schedule. Returns
+// the fields to store; throws on bad input so the route can answer 400.
+export function parseSchedule(body = {}, current = null) {
+    const schedule = {};
+    if (!current || body.startUrls !== undefined) schedule.startUrls = parseStartUrls(body.startUrls);
+    if (!current || body.cron !== undefined) {
+        parseCron(body.cron);
+        schedule.cron = String(body.cron).trim();
+    }
+    if (!current || body.timeZone !== undefined) {
+        const timeZone = body.timeZone ? String(body.timeZone) : 'UTC';
+        if (!isValidTimeZone(timeZone)) throw new Error(`Unknown time zone "${timeZone}"`);
+        schedule.timeZone = timeZone;
+    }
+    if (!current || body.name !== undefined) {
+        schedule.name = String(body.name || '').trim() || new URL((schedule.startUrls || current.startUrls)[0]).hostname;
+    }
+    if (!current || body.enabled !== undefined) schedule.enabled = body.enabled === undefined ? true : Boolean(body.enabled);
+    if (!current || body.options !== undefined) schedule.options = parseScanOptions(body.options || {}, current?.options);
+    return schedule;
+}
+
+// Scans running, paused between batches, failed to start or left
+// interrupted decide the outcome, in that order.
+export function executionOutcome(execution, scansById) {
+    const states = execution.scans.map((entry) => {
+        if (entry.error) return 'failed';
+        if (entry.skipped) return 'skipped';
+        const scan = scansById.get(String(entry.scanId));
+        if (!scan) return 'deleted';
+        return scan.status === 'interrupted' ? 'failed' : scan.status;
+    });
+    for (const outcome of ['running', 'failed', 'paused', 'completed']) {
+        if (states.includes(outcome)) return outcome;
+    }
+    return states.includes('skipped') ? 'skipped' : 'unknown';
+}
+
+export function describeSchedule(schedule, job = null, { upcoming = 5 } = {}) {
+    const pending = schedule.enabled && job?.status === 'pending';
+    return {
+        id: schedule._id.toString(),
+        name: schedule.name,
+        startUrls: schedule.startUrls,
+        cron: schedule.cron,
+        timeZone: schedule.timeZone,
+        options: schedule.options,
+        enabled: schedule.enabled,
+        nextRunAt: pending ? job.runAt : null,
+        upcoming: schedule.enabled ? upcomingRuns(schedule.cron, schedule.timeZone, upcoming) : [],
+        lastRunAt: schedule.lastRunAt || null,
+        lastError: job?.lastError || null,
+        createdAt: schedule.createdAt,
+        updatedAt: schedule.updatedAt || null,
+    };
+}
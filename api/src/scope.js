@@ -0,0 +1,67 @@
+import { URL } from 'node:url';
+import { parseHostname } from './psl.js';
+
+// Which links count as part of the scanned site (and are crawled rather than
+// DNS-checked), and which of those the crawler is allowed to fetch.
+export const SCOPE_MODES = {
+    ORIGIN: 'origin',
+    HOST: 'host',
+    DOMAIN: 'domain',
+};
+
+export const DEFAULT_SCOPE = {
+    mode: SCOPE_MODES.ORIGIN,
+    pathPrefix: '/',
+    maxDepth: null,
+};
+
+const stripWww = (hostname) => hostname.replace(/^www\./, '');
+
+export function normalizeScope(input = {}) {
+    const scope = { ...DEFAULT_SCOPE };
+    if (input.mode !== undefined) {
+        if (!Object.values(SCOPE_MODES).includes(input.mode)) {
+            throw new Error(`scope.mode must be one of ${Object.values(SCOPE_MODES).join(', ')}`);
+        }
+        scope.mode = input.mode;
+    }
+    if (input.pathPrefix) {
+        const prefix = String(input.pathPrefix).trim();
+        scope.pathPrefix = prefix.startsWith('/') ? prefix : `/${prefix}`;
+    }
+    if (input.maxDepth !== undefined && input.maxDepth !== null && input.maxDepth !== '') {
+        const maxDepth = Number(input.maxDepth);
+        if (!Number.isInteger(maxDepth) || maxDepth < 0) throw new Error('scope.maxDepth must be a non-negative integer');
+        scope.maxDepth = maxDepth;
+    }
+    return scope;
+}
+
+export function createScope(startUrl, input) {
+    const scope = normalizeScope(input);
+    const start = new URL(startUrl);
+    const startDomain = parseHostname(start.hostname)?.domain || start.hostname;
+
+    // 'host' treats http/https, any port and a leading www. as the same site;
+    // 'domain' also takes in every subdomain of the registrable domain.
+    function isInternal(u) {
+        if (u.protocol !== 'http:' && u.protocol !== 'https:') return false;
+        if (scope.mode === SCOPE_MODES.ORIGIN) return u.origin === start.origin;
+        if (scope.mode === SCOPE_MODES.HOST) return stripWww(u.hostname) === stripWww(start.hostname);
+        return (parseHostname(u.hostname)?.domain || u.hostname) === startDomain;
+    }
+
+    // '/blog/' also covers '/blog' itself, which is what canonicalization
+    // turns it into when trailing slashes are stripped.
+    const withinPrefix = (pathname) => pathname.startsWith(scope.pathPrefix) || `${pathname}/` === scope.pathPrefix;
+
+    // Whether an internal URL found at `depth` should be fetched.
+    function check(url, depth = 0) {
+        const u = new URL(url);
+        if (!withinPrefix(u.pathname)) return { allowed: false, reason: `outside ${scope.pathPrefix}` };
+        if (scope.maxDepth !== null && depth > scope.maxDepth) return { allowed: false, reason: `deeper than ${scope.maxDepth}` };
+        return { allowed: true, reason: null };
+    }
+
+    return { scope, isInternal, check };
+}
@@ -0,0 +1,186 @@
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+// Scores how worth acquiring an expired domain looks, 0-100, from what the
+// scanner already knows: who links to it and how, and the name itself. Each
+// factor is rated 0-1 and weighted; the breakdown is stored with the score so
+// the UI can show why a domain ranked where it did.
+
+const DEFAULT_WORDS_FILE = fileURLToPath(new URL('../data/words.txt', import.meta.url));
+
+export const DEFAULT_WEIGHTS = {
+    referringPages: 20,
+    referringSites: 15,
+    dofollow: 15,
+    anchorRelevance: 10,
+    tld: 10,
+    length: 10,
+    characters: 5,
+    dictionary: 10,
+    age: 5,
+};
+
+const TLD_VALUES = {
+    com: 1, net: 0.7, org: 0.7, io: 0.7, ai: 0.7, co: 0.6, 'co.uk': 0.7, uk: 0.6, de: 0.6, eu: 0.5, app: 0.5, dev: 0.5,
+};
+const OTHER_TLD_VALUE = 0.3;
+
+const GENERIC_ANCHORS = new Set(['', 'here', 'click here', 'link', 'this', 'website', 'site', 'more', 'read more', 'home', 'source']);
+
+// "referringPages=25,age=0" in SCORE_WEIGHTS overrides individual defaults.
+export function parseWeights(value) {
+    const weights = { ...DEFAULT_WEIGHTS };
+    for (const pair of (value || '').split(',').map((s) => s.trim()).filter(Boolean)) {
+        const [name, raw] = pair.split('=').map((s) => s.trim());
+        if (!(name in DEFAULT_WEIGHTS)) throw new Error(`Unknown score factor "${name}"`);
+        const weight = Number(raw);
+        if (!Number.isFinite(weight) || weight < 0) throw new Error(`Weight for ${name} must be a non-negative number`);
+        weights[name] = weight;
+    }
+    return weights;
+}
+
+export function loadWords(file = process.env.SCORE_WORDS_FILE || DEFAULT_WORDS_FILE) {
+    return new Set(readFileSync(file, 'utf8')
+        .split('\n')
+        .map((line) => line.trim().toLowerCase())
+        .filter((word) => word.length > 1 && !word.startsWith('#') && /^[a-z]+$/.test(word)));
+}
+
+const clamp = (value) => Math.max(0, Math.min(1, value));
+const logScale = (count, full) => clamp(Math.log10(1 + count) / Math.log10(1 + full));
+
+// Fewest dictionary words that spell the whole label, or null when it can't be done.
+function segment(label, words) {
+    const best = [[]];
+    for (let end = 1; end <= label.length; end++) {
+        for (let start = Math.max(0, end - 20); start < end; start++) {
+            const word = label.slice(start, end);
+            if (best[start] && words.has(word) && (!best[end] || best[start].length + 1 < best[end].length)) {
+                best[end] = [...best[start], word];
+            }
+        }
+    }
+    return best[label.length] || null;
+}
+
+const FACTORS = {
+    referringPages: ({ links }) => ({ value: logScale(links.pages, 50), detail: `${links.pages} linking pages` }),
+    referringSites: ({ links }) => ({ value: logScale(links.sites, 10), detail: `${links.sites} scanned sites` }),
+    dofollow: ({ links }) => ({
+        value: links.total ? links.dofollow / links.total : 0,
+        detail: `${links.dofollow} of ${links.total} links followed`,
+    }),
+    // Anchors naming the domain count fully, other descriptive text half;
+    // "click here" and bare URLs say nothing about the target.
+    anchorRelevance: ({ links, label, words }) => {
+        const parts = label.split('-').flatMap((part) => segment(part, words) || []);
+        const brand = [label.replace(/-/g, ''), ...parts.filter((word) => word.length > 2)];
+        let points = 0;
+        for (const text of links.anchors) {
+            const anchor = text.toLowerCase().trim();
+            if (GENERIC_ANCHORS.has(anchor) || /^(https?:\/\/|www\.)/.test(anchor)) continue;
+            points += brand.some((word) => anchor.replace(/[^a-z0-9]/g, '').includes(word)) ? 1 : 0.5;
+        }
+        return {
+            value: links.anchors.length ? points / links.anchors.length : 0,
+            detail: `${links.anchors.length} anchor texts`,
+        };
+    },
+    tld: ({ suffix }) => ({ value: TLD_VALUES[suffix] ?? OTHER_TLD_VALUE, detail: `.${suffix}` }),
+    length: ({ label }) => ({ value: clamp((20 - label.length) / 14), detail: `${label.length} characters` }),
+    characters: ({ label }) => {
+        const hyphens = (label.match(/-/g) || []).length;
+        const digits = /\d/.test(label);
+        return {
+            value: clamp(1 - hyphens * 0.5 - (digits ? 0.5 : 0)),
+            detail: hyphens || digits ? [hyphens && `${hyphens} hyphens`, digits && 'digits'].filter(Boolean).join(', ') : 'letters only',
+        };
+    },
+    dictionary: ({ label, words }) => {
+        const parts = label.split('-').map((part) => segment(part, words));
+        if (parts.some((part) => !part)) return { value: 0, detail: 'not made of dictionary words' };
+        const all = parts.flat();
+        return { value: clamp(1 - (all.length - 1) * 0.25), detail: all.join(' + ') };
+    },
+    age: ({ creationDate }) => {
+        const created = creationDate ? new Date(creationDate) : null;
+        if (!created || isNaN(created)) return { value: 0, detail: 'registration date unknown' };
+        const years = (Date.now() - created.getTime()) / (365.25 * 24 * 60 * 60 * 1000);
+        return { value: clamp(years / 15), detail: `registered ${years.toFixed(1)} years ago` };
+    },
+};
+
+// links: { pages, sites, dofollow, total, anchors } across every scanned site.
+export function scoreDomain({ domain, tld: suffix, creationDate }, links, { weights = DEFAULT_WEIGHTS, words = new Set() } = {}) {
+    const label = suffix && domain.endsWith(`.${suffix}`) ? domain.slice(0, -suffix.length - 1) : domain.split('.')[0];
+    const input = { links, label: label.toLowerCase(), suffix: suffix || domain.split('.').pop(), creationDate, words };
+    const totalWeight = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+    const breakdown = {};
+    let score = 0;
+    for (const [name, weight] of Object.entries(weights)) {
+        if (!weight) continue;
+        const { value, detail } = FACTORS[name](input);
+        const points = totalWeight ? (value * weight * 100) / totalWeight : 0;
+        breakdown[name] = { value: Math.round(value * 100) / 100, weight, points: Math.round(points * 10) / 10, detail };
+        score += points;
+    }
+    return { score: Math.round(score), scoreBreakdown: breakdown };
+}
+
+export function createScorer({
+    resultsCollection,
+    sourcesCollection,
+    weights = parseWeights(process.env.SCORE_WEIGHTS),
+    words = loadWords(),
+    batchSize = 200,
+}) {
+    // A domain's score depends on links from every site, so all of its
+    // results are scored together and get the same value.
+    async function scoreDomains(domains) {
+        const unique = [...new Set(domains)];
+        for (let i = 0; i < unique.length; i += batchSize) {
+            const batch = unique.slice(i, i + batchSize);
+            const [results, sources] = await Promise.all([
+                resultsCollection.find({ domain: { $in: batch } }).toArray(),
+                sourcesCollection
+                    .find({ domain: { $in: batch } })
+                    .project({ domain: 1, sourceUrl: 1, rel: 1, anchorText: 1, types: 1 })
+                    .toArray(),
+            ]);
+            const groupBy = (docs) => docs.reduce((map, doc) => map.set(doc.domain, [...(map.get(doc.domain) || []), doc]), new Map());
+            const resultsByDomain = groupBy(results);
+            const sourcesByDomain = groupBy(sources);
+            const now = new Date();
+            for (const domain of batch) {
+                const domainResults = resultsByDomain.get(domain);
+                if (!domainResults) continue;
+                const domainSources = sourcesByDomain.get(domain) || [];
+                // Only anchors pass link equity or carry anchor text; images and
+                // scripts still count as referring pages.
+                const anchors = domainSources.filter((source) => !source.types || source.types.includes('anchor'));
+                const links = {
+                    pages: new Set(domainSources.map((source) => source.sourceUrl)).size,
+                    sites: new Set(domainResults.map((result) => result.website)).size,
+                    dofollow: anchors.filter((source) => !source.rel?.length).length,
+                    total: anchors.length,
+                    anchors: anchors.map((source) => source.anchorText || ''),
+                };
+                const registration = domainResults.find((result) => result.creationDate) || domainResults[0];
+                const { score, scoreBreakdown } = scoreDomain(registration, links, { weights, words });
+                await resultsCollection.updateMany({ domain }, { $set: { score, scoreBreakdown, scoredAt: now } });
+            }
+        }
+        return unique.length;
+    }
+
+    const scoreWebsite = async (website) => scoreDomains(await resultsCollection.distinct('domain', { website }));
+
+    // Used when the weights change: walks every domain in batches.
+    const scoreAll = async () => scoreDomains(await resultsCollection.distinct('domain'));
+
+    // Results stored before scoring existed.
+    const scoreUnscored = async () => scoreDomains(await resultsCollection.distinct('domain', { score: null }));
+
+    return { weights, scoreDomains, scoreWebsite, scoreAll, scoreUnscored };
+}
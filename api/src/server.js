@@ -1,29 +1,132 @@
 import express from 'express';
 import cors from 'cors';
 import { EventEmitter } from 'node:events';
-import { URL } from 'node:url';
+import { URL, domainToASCII } from 'node:url';
 import { MongoClient, ObjectId } from 'mongodb';
 import dotenv from 'dotenv';
-import { createCrawler } from './worker.js';
+import { createCrawlerPool } from './pool.js';
+import { resolveProfileName } from './politeness.js';
+import { createJobScheduler } from './scheduler.js';
+import { createFrontier, ensureFrontierIndexes } from './frontier.js';
+import { normalizeUrlRules } from './urlrules.js';
+import { normalizeScope } from './scope.js';
+import { streamResultsExport, EXPORT_FORMATS } from './export.js';
+import { createReverifier } from './reverify.js';
+import { backfillReferringPages, buildDomainsPipeline, summarizeDomain } from './domains.js';
+import { createScorer, parseWeights } from './scoring.js';
+import { diffRuns } from './runs.js';
+import { nextRun } from './cron.js';
+import { parseSchedule, describeSchedule, executionOutcome } from './schedules.js';
+import { createCampaignRunner, parseCampaign } from './campaigns.js';
+import {
+    createWebhookDispatcher, parseWebhook, describeWebhook, WEBHOOK_EVENTS, DELIVERY_STATUSES,
+} from './webhooks.js';
+import {
+    buildResultsQuery, parseResultsSort, parseResultsPage, parseTriageUpdate, escapeRegex, TRIAGE_STATUSES,
+} from './results.js';
+import { LIFECYCLE_STAGES } from './whois/index.js';
 
 dotenv.config();
 
+// Checked before anything connects, so a typo is reported as what it is.
+let scoreWeights;
+try {
+    scoreWeights = parseWeights(process.env.SCORE_WEIGHTS);
+} catch (err) {
+    console.error(`Invalid SCORE_WEIGHTS: ${err.message}`);
+    process.exit(1);
+}
+
 const app = express();
 app.use(cors());
 app.use(express.json());
 
 const mongoUrl = process.env.MONGO_URL || 'mongodb://localhost:27017';
+const dbName = 'expired_domain_scanner';
 const client = new MongoClient(mongoUrl);
+const crawlerPool = createCrawlerPool({ mongoUrl, dbName });
 let resultsCollection;
 let scansCollection;
+let sourcesCollection;
+let jobsCollection;
+let frontierCollection;
+let historyCollection;
+let findingsCollection;
+let schedulesCollection;
+let scheduleRunsCollection;
+let campaignsCollection;
+let webhooksCollection;
+let deliveriesCollection;
+let scheduler;
+let reverifyScheduler;
+let reverifier;
+let scorer;
+let campaigns;
+let webhooks;
 
 async function connectToMongo() {
   try {
     await client.connect();
     console.log('Connected to MongoDB');
-    const db = client.db('expired_domain_scanner');
+    const db = client.db(dbName);
     resultsCollection = db.collection('results');
     scansCollection = db.collection('scans');
+    sourcesCollection = db.collection('sources');
+    jobsCollection = db.collection('jobs');
+    frontierCollection = db.collection('frontier');
+    historyCollection = db.collection('history');
+    findingsCollection = db.collection('findings');
+    schedulesCollection = db.collection('schedules');
+    scheduleRunsCollection = db.collection('scheduleRuns');
+    campaignsCollection = db.collection('campaigns');
+    webhooksCollection = db.collection('webhooks');
+    deliveriesCollection = db.collection('webhookDeliveries');
+    await ensureFrontierIndexes(frontierCollection);
+    await sourcesCollection.createIndex({ website: 1, domain: 1, sourceUrl: 1, targetUrl: 1 }, { unique: true });
+    await sourcesCollection.createIndex({ domain: 1 });
+    await findingsCollection.createIndex({ scanId: 1, domain: 1 }, { unique: true });
+    await scheduleRunsCollection.createIndex({ scheduleId: 1, startedAt: -1 });
+    await resultsCollection.createIndex({ website: 1, domain: 1 });
+    await resultsCollection.createIndex({ foundAt: -1 });
+    await resultsCollection.createIndex({ expiryDate: 1 });
+    await resultsCollection.createIndex({ lifecycleStage: 1, estimatedDropDate: 1 });
+    await resultsCollection.createIndex({ lifecycleRank: 1 });
+    await resultsCollection.createIndex({ score: -1 });
+    await resultsCollection.createIndex({ domain: 1 });
+    scorer = createScorer({ resultsCollection, sourcesCollection, weights: scoreWeights });
+    webhooks = createWebhookDispatcher({ webhooksCollection, deliveriesCollection, jobsCollection });
+    await webhooks.ensureIndexes();
+    reverifier = createReverifier({ resultsCollection, historyCollection, scorer, onTransitions: notifyTransitions });
+    await reverifier.ensureIndexes();
+    campaigns = createCampaignRunner({
+        campaignsCollection, sitesCollection: db.collection('campaignSites'), scansCollection, findingsCollection,
+        startScan: startCampaignScan, siteStatus: campaignSiteStatus,
+    });
+    await campaigns.ensureIndexes();
+    scheduler = createJobScheduler({
+        jobsCollection,
+        handlers: {
+            [RESUME_JOB]: resumeScanJob,
+            [SCHEDULE_JOB]: scheduledScanJob,
+            [CAMPAIGN_JOB]: campaignJob,
+        },
+    });
+    // Re-verification batches can run for minutes, so they get a scheduler of
+    // their own rather than holding up resumes, schedules and campaigns.
+    reverifyScheduler = createJobScheduler({
+        jobsCollection, handlers: { [REVERIFY_JOB]: reverifyJob }, lockTimeoutMs: REVERIFY_LOCK_MS,
+    });
+    await scheduler.start();
+    await webhooks.start();
+    await ensureReverifyJob();
+    reverifyScheduler.start().catch((err) => console.error('Re-verification scheduler failed to start', err));
+    await ensureScheduleJobs();
+    await ensureCampaignJobs();
+    scorer.scoreUnscored().catch((err) => console.error('Scoring unscored results failed', err));
+    backfillReferringPages({ resultsCollection, sourcesCollection })
+        .catch((err) => console.error('Backfilling referring pages failed', err));
+    await recoverOrphanedScans();
+    setInterval(() => recoverOrphanedScans().catch((err) => console.error('Orphaned scan check failed', err)), ORPHAN_TIMEOUT_MS);
   } catch (err) {
     console.error('Failed to connect to MongoDB', err);
     process.exit(1);
@@ -33,43 +136,299 @@ async function connectToMongo() {
 const activeCrawlers = new Map();
 const activeScanEmitters = new Map();
 
+const RESUME_JOB = 'resume-scan';
+
+const hasResumesLeft = (autoResume) =>
+    Boolean(autoResume?.enabled) && (autoResume.remaining === 'infinite' || autoResume.remaining > 0);
+
 const scheduleResume = async (scanId, delayMinutes) => {
     console.log(`Scheduling resume for scan ${scanId} in ${delayMinutes} minutes.`);
-    setTimeout(async () => {
-        const scan = await scansCollection.findOne({ _id: new ObjectId(scanId) });
+    return scheduler.schedule(RESUME_JOB, scanId, Date.now() + delayMinutes * 60 * 1000);
+};
+
+const scheduleNextBatch = async (scanId) => {
+    const scan = await scansCollection.findOne({ _id: new ObjectId(scanId) });
+    if (scan && scan.status === 'paused' && hasResumesLeft(scan.autoResume)) {
+        await scheduleResume(scanId, scan.autoResume.delayMinutes);
+    }
+};
+
+// Hands a crawler batch for an existing scan document to the thread pool and
+// keeps track of it until the batch ends, whichever route (request,
+// auto-resume, recovery) started it. Every batch gets an emitter so
+// /events/:id can follow any running or queued scan.
+const launchCrawler = (scan, { maxPages, concurrency, politeness, mode = 'resume' }) => {
+    const scanId = scan._id.toString();
+    const emitter = new EventEmitter();
+    activeScanEmitters.set(scanId, { events: emitter });
+    const events = {
+        emit: (_, payload) => {
+            try { emitter.emit('progress', payload) } catch (e) {}
+        }
+    };
 
-        if (scan && scan.status === 'paused' && scan.autoResume && scan.autoResume.enabled && scan.autoResume.remaining > 0) {
-            console.log(`Auto-resuming scan ${scanId}...`);
-            const newRemaining = scan.autoResume.remaining === 'infinite' ? 'infinite' : scan.autoResume.remaining - 1;
-            
+    const crawler = crawlerPool.run(scanId, {
+        startUrl: scan.startUrl,
+        maxPages,
+        concurrency,
+        mode,
+        politeness,
+        seedSitemaps: scan.seedSitemaps !== false,
+    }, (payload) => {
+        events.emit('progress', payload);
+        notifyProgress(scan, payload);
+    });
+    activeCrawlers.set(scanId, crawler);
+    // An interrupted batch may still be draining when the scan is resumed again.
+    const release = () => {
+        if (activeCrawlers.get(scanId) === crawler) activeCrawlers.delete(scanId);
+    };
+
+    crawler.start()
+        .then(async () => {
+            release();
+            await scorer.scoreWebsite(scan.website)
+                .catch((err) => console.error(`Scoring results for ${scan.website} failed:`, err.message));
+            await scheduleNextBatch(scanId);
+        })
+        .catch(async (err) => {
+            release();
+            console.error(`Scan ${scanId} stopped unexpectedly:`, err);
+            events.emit('progress', { type: 'error', error: err.message });
             await scansCollection.updateOne(
-                { _id: new ObjectId(scanId) },
-                { $set: { "autoResume.remaining": newRemaining, status: 'running' } }
-            );
-
-            const crawler = createCrawler({
-                startUrl: scan.startUrl,
-                maxPages: scan.autoResume.batchSize,
-                concurrency: scan.concurrency,
-                mode: 'resume',
-                isAggressive: scan.autoResume.isAggressive,
-                events: { emit: () => {} },
-                scansCollection,
-                resultsCollection
-              });
-              
-              activeCrawlers.set(scanId.toString(), crawler);
-
-              crawler.start()
-              .then(async () => {
-                  activeCrawlers.delete(scanId.toString());
-                  const updatedScan = await scansCollection.findOne({ _id: new ObjectId(scanId) });
-                  if (updatedScan && updatedScan.status === 'paused' && updatedScan.autoResume.enabled && updatedScan.autoResume.remaining > 0) {
-                      scheduleResume(scanId, updatedScan.autoResume.delayMinutes);
-                  }
-              });
+                { _id: scan._id },
+                { $set: { status: 'interrupted', lastError: err.message, interruptedAt: new Date() } }
+            ).catch(() => {});
+            notifyScan('scan.failed', scan._id);
+        })
+        .finally(() => {
+            if (scan.campaignId) nudgeCampaign(scan.campaignId).catch((err) => console.error('Campaign update failed', err));
+        });
+    return crawler;
+};
+
+const RESULT_EVENT_FIELDS = [
+    'website', 'domain', 'tld', 'status', 'code', 'expiryDate', 'registrar', 'available', 'lifecycleStage', 'estimatedDropDate', 'score', 'risk',
+];
+
+// Webhook events are announced in the background; a failure to queue one is
+// logged and never affects the scan or check that caused it.
+const publishResult = async (event, filter, extra = {}, options = {}) => {
+    let result = await resultsCollection.findOne(filter);
+    if (!result) return;
+    // Results are normally scored when a batch ends; score-filtered
+    // subscriptions need it now.
+    if (result.score == null && await webhooks.needsScore(event)) {
+        await scorer.scoreDomains([result.domain]);
+        result = await resultsCollection.findOne({ _id: result._id });
+    }
+    const data = {
+        resultId: result._id.toString(),
+        ...Object.fromEntries(RESULT_EVENT_FIELDS.map((field) => [field, result[field] ?? null])),
+        ...extra,
+    };
+    await webhooks.publish(event, data, { website: result.website, tld: result.tld, score: result.score ?? null }, options);
+};
+
+const notifyScan = (event, scanId, extra = {}) => {
+    (async () => {
+        const scan = await scansCollection.findOne({ _id: scanId });
+        if (!scan) return;
+        const data = {
+            scanId: scan._id.toString(), website: scan.website, startUrl: scan.startUrl, status: scan.status,
+            visitedCount: scan.visitedCount || 0, checkedDomains: scan.checkedDomains || 0,
+            foundDomains: await findingsCollection.countDocuments({ scanId: scan._id }),
+            completedAt: scan.completedAt || null, error: scan.lastError || null,
+            scheduleId: scan.scheduleId?.toString() || null, campaignId: scan.campaignId?.toString() || null,
+            ...extra,
+        };
+        await webhooks.publish(event, data, { website: scan.website });
+    })().catch((err) => console.error(`Webhook event ${event} failed:`, err.message));
+};
+
+const notifyProgress = (scan, payload) => {
+    if (payload.type === 'domain' && payload.stage === 'check-done' && payload.result?.status === 'no-dns') {
+        const domain = domainToASCII(payload.domain) || payload.domain;
+        publishResult('domain.expired-found', { website: scan.website, domain }, { scanId: scan._id.toString() }, {
+            dedupeKey: `${scan._id}:${domain}`,
+        }).catch((err) => console.error('Webhook event domain.expired-found failed:', err.message));
+    } else if (payload.type === 'done') {
+        notifyScan('scan.completed', scan._id);
+    }
+};
+
+const notifyTransitions = async (resultId, transitions) => {
+    if (transitions.includes('now-available')) await publishResult('domain.now-available', { _id: resultId }, { transitions });
+};
+
+const batchSettings = (scan) => ({
+    maxPages: scan.autoResume?.batchSize,
+    concurrency: scan.concurrency,
+    politeness: resolveProfileName(scan.autoResume?.politeness, scan.autoResume?.isAggressive),
+});
+
+const resumeScanJob = async (job) => {
+    const scanId = job.key;
+    const scan = await scansCollection.findOne({ _id: new ObjectId(scanId) });
+    if (!scan || scan.status !== 'paused' || !hasResumesLeft(scan.autoResume) || activeCrawlers.has(scanId)) return;
+
+    console.log(`Auto-resuming scan ${scanId}...`);
+    const newRemaining = scan.autoResume.remaining === 'infinite' ? 'infinite' : scan.autoResume.remaining - 1;
+    await scansCollection.updateOne(
+        { _id: scan._id },
+        { $set: { "autoResume.remaining": newRemaining, status: 'running' } }
+    );
+    launchCrawler(scan, batchSettings(scan));
+};
+
+const REVERIFY_JOB = 'reverify-results';
+const REVERIFY_POLL_MINUTES = Number(process.env.REVERIFY_POLL_MINUTES) || 60;
+// Well past the longest batch, so a slow one is never taken over mid-run.
+const REVERIFY_LOCK_MS = 60 * 60 * 1000;
+
+// One recurring job re-checks stored results a batch at a time. A full batch
+// means more are due, so the next run follows straight after.
+const reverifyJob = async () => {
+    const { checked, more, transitions } = await reverifier.runDue();
+    if (checked) console.log(`Re-verified ${checked} results, ${transitions} changed.`);
+    const delayMinutes = more ? 1 : REVERIFY_POLL_MINUTES;
+    await reverifyScheduler.schedule(REVERIFY_JOB, 'all', Date.now() + delayMinutes * 60 * 1000);
+};
+
+const ensureReverifyJob = async () => {
+    if (!reverifier.enabled) {
+        await reverifyScheduler.cancel(REVERIFY_JOB, 'all');
+        return;
+    }
+    const job = await reverifyScheduler.get(REVERIFY_JOB, 'all');
+    if (!job || !['pending', 'running'].includes(job.status)) await reverifyScheduler.schedule(REVERIFY_JOB, 'all', Date.now());
+};
+
+const SCHEDULE_JOB = 'scheduled-scan';
+
+// Queues the next firing of a schedule, or cancels it once disabled.
+const armSchedule = async (schedule) => {
+    const key = schedule._id.toString();
+    const runAt = schedule.enabled ? nextRun(schedule.cron, schedule.timeZone) : null;
+    if (runAt) return scheduler.schedule(SCHEDULE_JOB, key, runAt);
+    await scheduler.cancel(SCHEDULE_JOB, key);
+    return scheduler.get(SCHEDULE_JOB, key);
+};
+
+// Starts a fresh scan with schedule or campaign options. A website whose
+// previous scan is still running is skipped rather than crawled twice.
+const startScanWithOptions = async (startUrl, options, origin) => {
+    const website = new URL(startUrl).hostname;
+    const latest = await findLatestScan(website);
+    if (isScanRunning(latest)) {
+        return { skipped: 'previous scan still running', latest };
+    }
+    const politeness = resolveProfileName(options.politeness);
+    const scan = await createScan({
+        website, startUrl, maxPages: options.batchSize, concurrency: options.concurrency, politeness,
+        seedSitemaps: options.seedSitemaps, autoResume: options.autoResume, origin,
+    });
+    launchCrawler(scan, { maxPages: options.batchSize, concurrency: options.concurrency, politeness, mode: 'new' });
+    return { scan };
+};
+
+// Starts a scan of every start URL and records the execution.
+const runSchedule = async (schedule, scheduledFor) => {
+    const scans = [];
+    for (const startUrl of schedule.startUrls) {
+        const website = new URL(startUrl).hostname;
+        try {
+            const { scan, skipped, latest } = await startScanWithOptions(startUrl, schedule.options, { scheduleId: schedule._id });
+            scans.push(scan ? { startUrl, website, scanId: scan._id } : { startUrl, website, scanId: latest._id, skipped });
+        } catch (err) {
+            console.error(`Scheduled scan of ${startUrl} failed to start:`, err.message);
+            scans.push({ startUrl, website, scanId: null, error: err.message });
+        }
+    }
+    const startedAt = new Date();
+    await scheduleRunsCollection.insertOne({ scheduleId: schedule._id, scheduledFor, startedAt, scans });
+    await schedulesCollection.updateOne({ _id: schedule._id }, { $set: { lastRunAt: startedAt } });
+};
+
+// A firing missed while the API was down runs once when it comes back.
+const scheduledScanJob = async (job) => {
+    if (!ObjectId.isValid(job.key)) return;
+    const schedule = await schedulesCollection.findOne({ _id: new ObjectId(job.key) });
+    if (!schedule?.enabled) return;
+    console.log(`Running schedule "${schedule.name}" (${schedule.startUrls.length} websites)...`);
+    await runSchedule(schedule, job.runAt);
+    await armSchedule(schedule);
+};
+
+const ensureScheduleJobs = async () => {
+    const schedules = await schedulesCollection.find({ enabled: true }).toArray();
+    for (const schedule of schedules) {
+        const job = await scheduler.get(SCHEDULE_JOB, schedule._id.toString());
+        if (!job || !['pending', 'running'].includes(job.status)) await armSchedule(schedule);
+    }
+};
+
+const CAMPAIGN_JOB = 'advance-campaign';
+const CAMPAIGN_POLL_MS = 60 * 1000;
+
+const startCampaignScan = (site, campaign) => startScanWithOptions(site.startUrl, campaign.options, { campaignId: campaign._id });
+
+// A site is done once its scan completes, stops for good between batches, or
+// is interrupted; a paused scan with auto-resumes left is still going.
+const campaignSiteStatus = (scan) => {
+    if (!scan) return 'failed';
+    if (scan.status === 'running' || activeCrawlers.has(scan._id.toString())) return 'running';
+    if (scan.status === 'paused') return hasResumesLeft(scan.autoResume) ? 'running' : 'paused';
+    return scan.status === 'completed' ? 'completed' : 'failed';
+};
+
+const nudgeCampaign = (campaignId) => scheduler.schedule(CAMPAIGN_JOB, campaignId.toString(), Date.now());
+
+// Batch ends nudge the campaign straight away; the poll catches scans that
+// finish in another process or are interrupted.
+const campaignJob = async (job) => {
+    if (!ObjectId.isValid(job.key)) return;
+    const more = await campaigns.advance(new ObjectId(job.key));
+    if (more) await scheduler.schedule(CAMPAIGN_JOB, job.key, Date.now() + CAMPAIGN_POLL_MS);
+};
+
+const ensureCampaignJobs = async () => {
+    const running = await campaignsCollection.find({ status: 'running' }).toArray();
+    for (const campaign of running) {
+        const job = await scheduler.get(CAMPAIGN_JOB, campaign._id.toString());
+        if (!job || !['pending', 'running'].includes(job.status)) await nudgeCampaign(campaign._id);
+    }
+};
+
+const ORPHAN_TIMEOUT_MS = Number(process.env.ORPHAN_TIMEOUT_MS) || 60 * 1000;
+
+// A scan left 'running' with no crawler in this process and no recent
+// checkpoint belonged to a process that died mid-batch.
+const recoverOrphanedScans = async () => {
+    const staleBefore = new Date(Date.now() - ORPHAN_TIMEOUT_MS);
+    const candidates = await scansCollection.find({
+        status: 'running',
+        $or: [{ heartbeatAt: { $lt: staleBefore } }, { heartbeatAt: null }],
+    }).toArray();
+
+    for (const scan of candidates) {
+        const scanId = scan._id.toString();
+        if (activeCrawlers.has(scanId)) continue;
+        const { modifiedCount } = await scansCollection.updateOne(
+            { _id: scan._id, status: 'running' },
+            { $set: { status: 'interrupted', interruptedAt: new Date() } }
+        );
+        if (!modifiedCount) continue;
+        await createFrontier({ frontierCollection, scanId: scan._id }).releaseInProgress();
+        console.log(`Marked orphaned scan ${scanId} (${scan.website}) as interrupted.`);
+        notifyScan('scan.failed', scan._id, { error: 'The API process running this scan stopped' });
+
+        if (process.env.RECOVER_INTERRUPTED_SCANS === 'true') {
+            console.log(`Recovering scan ${scanId}...`);
+            await scansCollection.updateOne({ _id: scan._id }, { $set: { status: 'running' } });
+            launchCrawler(scan, batchSettings(scan));
         }
-    }, delayMinutes * 60 * 1000);
+    }
 };
 
 app.get('/scan/status', async (req, res) => {
@@ -78,13 +437,18 @@ app.get('/scan/status', async (req, res) => {
     try {
         const url = new URL(startUrl);
         const website = url.hostname;
-        const scan = await scansCollection.findOne({ website });
+        const scan = await findLatestScan(website);
         if (scan) {
+            const counts = await createFrontier({ frontierCollection, scanId: scan._id }).counts();
             res.json({
                 exists: true,
+                id: scan._id.toString(),
                 status: scan.status,
-                visitedCount: scan.visited?.length || 0,
-                queueCount: scan.queue?.length || 0,
+                visitedCount: counts.visitedCount || scan.visited?.length || 0,
+                queueCount: counts.queueCount || scan.queue?.length || 0,
+                urlRules: scan.urlRules || null,
+                scope: scan.scope || null,
+                timeBudgetMinutes: scan.timeBudgetMinutes || null,
             });
         } else {
             res.json({ exists: false });
@@ -94,78 +458,687 @@ app.get('/scan/status', async (req, res) => {
     }
 });
 
-app.post('/scan', async (req, res) => {
-  const { startUrl, maxPages, concurrency, mode, isAggressive, autoResume } = req.body;
-  if (!startUrl) return res.status(400).json({ error: 'startUrl is required' });
+// Crawl settings that live on the scan document and may be changed on resume.
+// Only the fields present in the request are returned; throws on bad input.
+const parseCrawlSettings = (body = {}) => {
+    const settings = {};
+    if (body.urlRules) settings.urlRules = normalizeUrlRules(body.urlRules);
+    if (body.scope) settings.scope = normalizeScope(body.scope);
+    if (body.timeBudgetMinutes !== undefined) {
+        const minutes = body.timeBudgetMinutes === null || body.timeBudgetMinutes === '' ? null : Number(body.timeBudgetMinutes);
+        if (minutes !== null && !(minutes > 0)) throw new Error('timeBudgetMinutes must be a positive number');
+        settings.timeBudgetMinutes = minutes;
+    }
+    return settings;
+};
 
-  const website = new URL(startUrl).hostname;
-  let scan;
+const findLatestScan = (website) => scansCollection.findOne({ website }, { sort: { createdAt: -1 } });
 
-  if (mode === 'resume') {
-    scan = await scansCollection.findOne({ website });
-    if (scan) {
-        await scansCollection.updateOne({ _id: scan._id }, { $set: { status: 'running' } });
-    }
-  } else {
-    await scansCollection.deleteOne({ website });
+// Only one scan of a website crawls at a time; they share its results.
+const isScanRunning = (scan) => Boolean(scan) && (scan.status === 'running' || activeCrawlers.has(scan._id.toString()));
+
+// Stores a fresh scan document; the caller launches its first batch.
+const createScan = async ({
+    website, startUrl, maxPages, concurrency, politeness, seedSitemaps = true, autoResume = {}, crawlSettings = {}, origin = {},
+}) => {
     const newScanData = {
-        website, startUrl, status: 'running', queue: [startUrl], visited: [],
-        checkedDomains: 0, createdAt: new Date(), concurrency,
+        website, startUrl, status: 'running',
+        checkedDomains: 0, createdAt: new Date(), concurrency, seedSitemaps,
+        urlRules: normalizeUrlRules(), scope: normalizeScope(), timeBudgetMinutes: null, ...crawlSettings,
         autoResume: {
-            enabled: autoResume.enabled,
+            enabled: Boolean(autoResume.enabled),
             delayMinutes: autoResume.delayMinutes,
             remaining: autoResume.repeat,
             batchSize: maxPages,
-            isAggressive,
-        }
+            politeness,
+        },
+        // The schedule or campaign that started it, if any.
+        ...origin,
     };
     const result = await scansCollection.insertOne(newScanData);
-    scan = { ...newScanData, _id: result.insertedId };
+    return { ...newScanData, _id: result.insertedId };
+};
+
+app.post('/scan', async (req, res) => {
+  const { startUrl, maxPages, concurrency, mode, isAggressive, autoResume = {}, seedSitemaps = true } = req.body;
+  if (!startUrl) return res.status(400).json({ error: 'startUrl is required' });
+  const politeness = resolveProfileName(req.body.politeness, isAggressive);
+
+  let website;
+  try {
+    website = new URL(startUrl).hostname;
+  } catch {
+    return res.status(400).json({ error: 'Invalid startUrl' });
+  }
+  let crawlSettings;
+  try {
+    crawlSettings = parseCrawlSettings(req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  let scan;
+
+  try {
+    if (mode === 'resume') {
+      scan = await findLatestScan(website);
+      if (scan && activeCrawlers.has(scan._id.toString())) {
+          return res.status(409).json({ error: 'This scan is already running.' });
+      }
+      if (scan) {
+          await scansCollection.updateOne({ _id: scan._id }, { $set: { status: 'running', ...crawlSettings } });
+      }
+    } else {
+      if (isScanRunning(await findLatestScan(website))) {
+          return res.status(409).json({ error: 'A scan of this website is already running.' });
+      }
+      scan = await createScan({ website, startUrl, maxPages, concurrency, politeness, seedSitemaps, autoResume, crawlSettings });
+    }
+  } catch (error) {
+    return res.status(500).json({ error: 'Failed to start scan' });
   }
 
   if (!scan) return res.status(404).json({ error: 'Scan not found for resume' });
 
-  const scanId = scan._id.toString();
-  const events = new EventEmitter();
-  activeScanEmitters.set(scanId, { events });
-
-  const forward = (msg) => {
-      try { events.emit('progress', msg) } catch (e) {}
-  };
-
-  const crawler = createCrawler({
-    startUrl: scan.startUrl, maxPages, concurrency, mode: 'resume', isAggressive,
-    events: { emit: (_, payload) => forward(payload) },
-    scansCollection, resultsCollection
-  });
-  
-  activeCrawlers.set(scanId, crawler);
-
-  crawler.start().then(async () => {
-      activeCrawlers.delete(scanId);
-      const finalScanState = await scansCollection.findOne({ _id: new ObjectId(scanId) });
-      if (finalScanState && finalScanState.status === 'paused' && finalScanState.autoResume.enabled && finalScanState.autoResume.remaining > 0) {
-          scheduleResume(scanId, finalScanState.autoResume.delayMinutes);
-      }
-  });
+  launchCrawler(scan, { maxPages, concurrency, politeness, mode: mode === 'resume' ? 'resume' : 'new' });
+
+  res.json({ id: scan._id.toString() });
+});
 
-  res.json({ id: scanId });
+const formatScan = (scan, job = null) => ({
+    id: scan._id.toString(),
+    website: scan.website,
+    startUrl: scan.startUrl,
+    status: scan.status,
+    active: activeCrawlers.has(scan._id.toString()),
+    queued: Boolean(activeCrawlers.get(scan._id.toString())?.queued),
+    visitedCount: scan.visitedCount ?? scan.visited?.length ?? 0,
+    queueCount: scan.queueCount ?? scan.queue?.length ?? 0,
+    checkedDomains: scan.checkedDomains || 0,
+    concurrency: scan.concurrency,
+    seedSitemaps: scan.seedSitemaps !== false,
+    urlRules: scan.urlRules || null,
+    scope: scan.scope || null,
+    timeBudgetMinutes: scan.timeBudgetMinutes || null,
+    autoResume: scan.autoResume || null,
+    nextResumeAt: job?.status === 'pending' ? job.runAt : null,
+    lastError: scan.lastError || null,
+    createdAt: scan.createdAt,
+    updatedAt: scan.updatedAt || null,
+    heartbeatAt: scan.heartbeatAt || null,
+    interruptedAt: scan.interruptedAt || null,
+    completedAt: scan.completedAt || null,
+    scheduleId: scan.scheduleId?.toString() || null,
+    campaignId: scan.campaignId?.toString() || null,
 });
 
-app.post('/scan/:id/interrupt', async (req, res) => {
+const parseScanId = (req, res) => {
     const { id } = req.params;
-    const crawler = activeCrawlers.get(id);
-    if (crawler) {
-        console.log(`Interrupting scan ${id}`);
-        crawler.stop();
+    if (!ObjectId.isValid(id)) {
+        res.status(400).json({ error: 'Invalid scan id' });
+        return null;
+    }
+    return new ObjectId(id);
+};
+
+app.get('/scans', async (req, res) => {
+    const { status, website } = req.query;
+    const query = {};
+    if (status) query.status = { $in: String(status).split(',') };
+    if (website) query.website = { $regex: escapeRegex(String(website)), $options: 'i' };
+    try {
+        const scans = await scansCollection.find(query).sort({ createdAt: -1 }).toArray();
+        const jobs = await jobsCollection
+            .find({ type: RESUME_JOB, key: { $in: scans.map((scan) => scan._id.toString()) }, status: 'pending' })
+            .toArray();
+        const jobsByScan = new Map(jobs.map((job) => [job.key, job]));
+        res.json(scans.map((scan) => formatScan(scan, jobsByScan.get(scan._id.toString()))));
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch scans' });
+    }
+});
+
+app.get('/scans/:id', async (req, res) => {
+    const scanId = parseScanId(req, res);
+    if (!scanId) return;
+    try {
+        const scan = await scansCollection.findOne({ _id: scanId });
+        if (!scan) return res.status(404).json({ error: 'Scan not found' });
+        const [counts, job] = await Promise.all([
+            createFrontier({ frontierCollection, scanId }).counts(),
+            scheduler.get(RESUME_JOB, scanId.toString()),
+        ]);
+        res.json({ ...formatScan(scan, job), ...counts });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch scan' });
+    }
+});
+
+app.delete('/scans/:id', async (req, res) => {
+    const scanId = parseScanId(req, res);
+    if (!scanId) return;
+    const id = scanId.toString();
+    try {
+        const scan = await scansCollection.findOne({ _id: scanId });
+        if (!scan) return res.status(404).json({ error: 'Scan not found' });
+
+        activeCrawlers.get(id)?.stop();
         activeCrawlers.delete(id);
+        await scheduler.cancel(RESUME_JOB, id);
+        await frontierCollection.deleteMany({ scanId });
+        await findingsCollection.deleteMany({ scanId });
+        await scansCollection.deleteOne({ _id: scanId });
+        res.json({ message: 'Scan deleted.' });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to delete scan' });
+    }
+});
+
+// Run history of one website, newest first, with how many dead domains each run found.
+app.get('/scans/:website/runs', async (req, res) => {
+    const { website } = req.params;
+    try {
+        const runs = await scansCollection.find({ website }).sort({ createdAt: -1 }).toArray();
+        const found = await Promise.all(runs.map((run) => findingsCollection.countDocuments({ scanId: run._id })));
+        res.json(runs.map((run, i) => ({ ...formatScan(run), foundDomains: found[i] })));
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch runs' });
+    }
+});
+
+// Compares two runs of a website. `to` defaults to the latest run and `from`
+// to the run before `to`; with no earlier run everything counts as added.
+app.get('/scans/:website/diff', async (req, res) => {
+    const { website } = req.params;
+    const { from, to } = req.query;
+    for (const [name, value] of [['from', from], ['to', to]]) {
+        if (value !== undefined && !ObjectId.isValid(String(value))) return res.status(400).json({ error: `Invalid ${name} run id` });
+    }
+    try {
+        const toRun = to
+            ? await scansCollection.findOne({ _id: new ObjectId(String(to)), website })
+            : await findLatestScan(website);
+        if (!toRun) return res.status(404).json({ error: to ? 'Run not found for this website' : 'No runs for this website' });
+        const fromRun = from
+            ? await scansCollection.findOne({ _id: new ObjectId(String(from)), website })
+            : await scansCollection.findOne({ website, createdAt: { $lt: toRun.createdAt } }, { sort: { createdAt: -1 } });
+        if (from && !fromRun) return res.status(404).json({ error: 'Run not found for this website' });
+
+        const [fromFindings, toFindings] = await Promise.all([
+            fromRun ? findingsCollection.find({ scanId: fromRun._id }).toArray() : [],
+            findingsCollection.find({ scanId: toRun._id }).toArray(),
+        ]);
+        res.json({
+            website,
+            from: fromRun ? formatScan(fromRun) : null,
+            to: formatScan(toRun),
+            ...diffRuns(fromFindings, toFindings),
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to compare runs' });
+    }
+});
+
+app.post('/scans/:id/resume', async (req, res) => {
+    const scanId = parseScanId(req, res);
+    if (!scanId) return;
+    const id = scanId.toString();
+    let crawlSettings;
+    try {
+        crawlSettings = parseCrawlSettings(req.body);
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+
+    try {
+        const scan = await scansCollection.findOne({ _id: scanId });
+        if (!scan) return res.status(404).json({ error: 'Scan not found' });
+        if (activeCrawlers.has(id)) return res.status(409).json({ error: 'This scan is already running.' });
+        if (scan.status === 'completed') return res.status(409).json({ error: 'This scan has already completed.' });
+
+        const defaults = batchSettings(scan);
+        const settings = {
+            maxPages: Number(req.body?.maxPages) || defaults.maxPages,
+            concurrency: Number(req.body?.concurrency) || defaults.concurrency,
+            politeness: resolveProfileName(req.body?.politeness || defaults.politeness),
+        };
+        await scheduler.cancel(RESUME_JOB, id);
+        await scansCollection.updateOne({ _id: scanId }, { $set: { status: 'running', ...crawlSettings } });
+        launchCrawler(scan, settings);
+        res.json({ id });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to resume scan' });
+    }
+});
+
+// Stops the running batch (wherever it was started from) and disables auto-resume.
+const interruptScan = async (req, res) => {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid scan id' });
+    try {
+        const crawler = activeCrawlers.get(id);
+        const cancelledResume = await scheduler.cancel(RESUME_JOB, id);
+        if (!crawler && !cancelledResume) {
+            return res.status(404).json({ error: 'No active scan found with that ID.' });
+        }
+        if (crawler) {
+            console.log(`Interrupting scan ${id}`);
+            crawler.stop();
+            activeCrawlers.delete(id);
+        }
         await scansCollection.updateOne(
             { _id: new ObjectId(id) },
             { $set: { status: 'paused', "autoResume.enabled": false } }
         );
-        res.status(200).json({ message: 'Scan interrupted.' });
-    } else {
-        res.status(404).json({ error: 'No active scan found with that ID.' });
+        res.status(200).json({ message: crawler ? 'Scan interrupted.' : 'Scheduled auto-resume cancelled.' });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to interrupt scan' });
+    }
+};
+
+app.post('/scan/:id/interrupt', interruptScan);
+app.post('/scans/:id/interrupt', interruptScan);
+
+const formatSchedule = (job) => ({
+    scheduled: job.status === 'pending',
+    status: job.status,
+    runAt: job.runAt,
+    attempts: job.attempts,
+    lastError: job.lastError,
+    lastRunAt: job.lastRunAt || null,
+    lockedBy: job.lockedBy,
+});
+
+app.get('/scans/:id/schedule', async (req, res) => {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid scan id' });
+    try {
+        const job = await scheduler.get(RESUME_JOB, id);
+        if (!job) return res.json({ scheduled: false });
+        res.json(formatSchedule(job));
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch schedule' });
+    }
+});
+
+app.put('/scans/:id/schedule', async (req, res) => {
+    const { id } = req.params;
+    const { runAt, delayMinutes } = req.body;
+    if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid scan id' });
+    const when = runAt ? new Date(runAt) : new Date(Date.now() + Number(delayMinutes) * 60 * 1000);
+    if (isNaN(when)) return res.status(400).json({ error: 'runAt or delayMinutes is required' });
+
+    try {
+        const scan = await scansCollection.findOne({ _id: new ObjectId(id) });
+        if (!scan) return res.status(404).json({ error: 'Scan not found' });
+        if (scan.status !== 'paused') return res.status(409).json({ error: `Scan is ${scan.status}, only paused scans can be scheduled` });
+        if (!hasResumesLeft(scan.autoResume)) {
+            // Scheduling by hand re-arms auto-resume for at least one more batch.
+            const remaining = scan.autoResume?.remaining === 'infinite' ? 'infinite' : Math.max(Number(scan.autoResume?.remaining) || 0, 1);
+            await scansCollection.updateOne({ _id: scan._id }, { $set: { "autoResume.enabled": true, "autoResume.remaining": remaining } });
+        }
+        const job = await scheduler.schedule(RESUME_JOB, id, when);
+        res.json(formatSchedule(job));
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to schedule resume' });
+    }
+});
+
+app.delete('/scans/:id/schedule', async (req, res) => {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid scan id' });
+    try {
+        const cancelled = await scheduler.cancel(RESUME_JOB, id);
+        if (!cancelled) return res.status(404).json({ error: 'No pending resume for that scan.' });
+        res.json({ message: 'Scheduled resume cancelled.' });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to cancel scheduled resume' });
+    }
+});
+
+// Past executions with the current status of every scan they started.
+const formatExecutions = async (executions) => {
+    const scanIds = executions.flatMap((execution) => execution.scans.map((entry) => entry.scanId)).filter(Boolean);
+    const scans = await scansCollection.find({ _id: { $in: scanIds } }).toArray();
+    const scansById = new Map(scans.map((scan) => [scan._id.toString(), scan]));
+    return executions.map((execution) => ({
+        id: execution._id.toString(),
+        scheduledFor: execution.scheduledFor,
+        startedAt: execution.startedAt,
+        outcome: executionOutcome(execution, scansById),
+        scans: execution.scans.map((entry) => {
+            const scan = entry.scanId && scansById.get(entry.scanId.toString());
+            return {
+                startUrl: entry.startUrl, website: entry.website, scanId: entry.scanId?.toString() || null,
+                status: entry.error ? 'failed' : entry.skipped ? 'skipped' : scan?.status || 'deleted',
+                reason: entry.error || entry.skipped || scan?.lastError || null,
+                visitedCount: scan?.visitedCount ?? 0,
+                checkedDomains: scan?.checkedDomains || 0,
+            };
+        }),
+    }));
+};
+
+const parseScheduleId = (req, res) => {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) {
+        res.status(400).json({ error: 'Invalid schedule id' });
+        return null;
+    }
+    return new ObjectId(id);
+};
+
+app.get('/schedules', async (req, res) => {
+    try {
+        const schedules = await schedulesCollection.find().sort({ name: 1 }).toArray();
+        const jobs = await jobsCollection
+            .find({ type: SCHEDULE_JOB, key: { $in: schedules.map((schedule) => schedule._id.toString()) } })
+            .toArray();
+        const jobsBySchedule = new Map(jobs.map((job) => [job.key, job]));
+        const latest = await Promise.all(schedules.map((schedule) =>
+            scheduleRunsCollection.findOne({ scheduleId: schedule._id }, { sort: { startedAt: -1 } })));
+        const executions = new Map((await formatExecutions(latest.filter(Boolean))).map((execution) => [execution.id, execution]));
+        res.json(schedules.map((schedule, i) => ({
+            ...describeSchedule(schedule, jobsBySchedule.get(schedule._id.toString())),
+            lastExecution: latest[i] ? executions.get(latest[i]._id.toString()) : null,
+        })));
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch schedules' });
+    }
+});
+
+app.get('/schedules/:id', async (req, res) => {
+    const scheduleId = parseScheduleId(req, res);
+    if (!scheduleId) return;
+    try {
+        const schedule = await schedulesCollection.findOne({ _id: scheduleId });
+        if (!schedule) return res.status(404).json({ error: 'Schedule not found' });
+        const limit = Math.min(Number(req.query.limit) || 20, 100);
+        const [job, executions] = await Promise.all([
+            scheduler.get(SCHEDULE_JOB, scheduleId.toString()),
+            scheduleRunsCollection.find({ scheduleId }).sort({ startedAt: -1 }).limit(limit).toArray(),
+        ]);
+        res.json({ ...describeSchedule(schedule, job, { upcoming: 10 }), executions: await formatExecutions(executions) });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch schedule' });
+    }
+});
+
+app.post('/schedules', async (req, res) => {
+    let fields;
+    try {
+        fields = parseSchedule(req.body);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    try {
+        const schedule = { ...fields, createdAt: new Date(), updatedAt: new Date() };
+        const { insertedId } = await schedulesCollection.insertOne(schedule);
+        schedule._id = insertedId;
+        const job = await armSchedule(schedule);
+        res.status(201).json(describeSchedule(schedule, job));
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to create schedule' });
+    }
+});
+
+app.patch('/schedules/:id', async (req, res) => {
+    const scheduleId = parseScheduleId(req, res);
+    if (!scheduleId) return;
+    try {
+        const current = await schedulesCollection.findOne({ _id: scheduleId });
+        if (!current) return res.status(404).json({ error: 'Schedule not found' });
+        let fields;
+        try {
+            fields = parseSchedule(req.body, current);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        const schedule = { ...current, ...fields, updatedAt: new Date() };
+        await schedulesCollection.updateOne({ _id: scheduleId }, { $set: { ...fields, updatedAt: schedule.updatedAt } });
+        // The cron or time zone may have changed, so the next firing is recomputed.
+        const job = await armSchedule(schedule);
+        res.json(describeSchedule(schedule, job));
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to update schedule' });
+    }
+});
+
+// Scans already started by the schedule are kept, as are their results.
+app.delete('/schedules/:id', async (req, res) => {
+    const scheduleId = parseScheduleId(req, res);
+    if (!scheduleId) return;
+    try {
+        const { deletedCount } = await schedulesCollection.deleteOne({ _id: scheduleId });
+        if (!deletedCount) return res.status(404).json({ error: 'Schedule not found' });
+        await scheduler.cancel(SCHEDULE_JOB, scheduleId.toString());
+        await scheduleRunsCollection.deleteMany({ scheduleId });
+        res.json({ message: 'Schedule deleted.' });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to delete schedule' });
+    }
+});
+
+const parseCampaignId = (req, res) => {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) {
+        res.status(400).json({ error: 'Invalid campaign id' });
+        return null;
+    }
+    return new ObjectId(id);
+};
+
+app.get('/campaigns', async (req, res) => {
+    try {
+        const list = await campaignsCollection.find().sort({ createdAt: -1 }).toArray();
+        res.json(await Promise.all(list.map((campaign) => campaigns.progress(campaign))));
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch campaigns' });
+    }
+});
+
+// Takes JSON ({ name, startUrls | file, concurrency, options }) or the raw
+// text of a CSV / plain-text file, with the other fields in the query string.
+app.post('/campaigns', express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }), async (req, res) => {
+    const body = typeof req.body === 'string' ? { ...req.query, file: req.body } : req.body;
+    let fields;
+    try {
+        fields = parseCampaign(body);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    try {
+        const campaign = await campaigns.create(fields);
+        await nudgeCampaign(campaign._id);
+        res.status(201).json({ ...(await campaigns.progress(campaign)), rejected: fields.rejected });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to create campaign' });
+    }
+});
+
+app.get('/campaigns/:id', async (req, res) => {
+    const campaignId = parseCampaignId(req, res);
+    if (!campaignId) return;
+    try {
+        const campaign = await campaignsCollection.findOne({ _id: campaignId });
+        if (!campaign) return res.status(404).json({ error: 'Campaign not found' });
+        res.json(await campaigns.progress(campaign, { withSites: true }));
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch campaign' });
+    }
+});
+
+// Results from every website in the campaign, with the usual /results filters.
+app.get('/campaigns/:id/results', async (req, res) => {
+    const campaignId = parseCampaignId(req, res);
+    if (!campaignId) return;
+    let query, sort, paging;
+    try {
+        query = buildResultsQuery({ ...req.query, website: undefined });
+        sort = parseResultsSort({ sort: 'score', order: 'desc', ...req.query });
+        paging = parseResultsPage(req.query);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    try {
+        if (!(await campaignsCollection.findOne({ _id: campaignId }))) return res.status(404).json({ error: 'Campaign not found' });
+        query.website = { $in: await campaigns.websites(campaignId) };
+        const [items, total] = await Promise.all([
+            resultsCollection.find(query).sort(sort.sort).skip(paging.skip).limit(paging.pageSize).toArray(),
+            resultsCollection.countDocuments(query),
+        ]);
+        res.json({
+            items, total, page: paging.page, pageSize: paging.pageSize,
+            totalPages: Math.ceil(total / paging.pageSize), sort: sort.field, order: sort.order,
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch campaign results' });
+    }
+});
+
+app.post('/campaigns/:id/cancel', async (req, res) => {
+    const campaignId = parseCampaignId(req, res);
+    if (!campaignId) return;
+    try {
+        const cancelled = await campaigns.cancel(campaignId);
+        if (!cancelled) return res.status(404).json({ error: 'No running campaign with that id.' });
+        await scheduler.cancel(CAMPAIGN_JOB, campaignId.toString());
+        res.json({ message: 'Campaign cancelled. Scans already running finish their current batch.' });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to cancel campaign' });
+    }
+});
+
+const parseWebhookId = (req, res) => {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) {
+        res.status(400).json({ error: 'Invalid webhook id' });
+        return null;
+    }
+    return new ObjectId(id);
+};
+
+app.get('/webhooks', async (req, res) => {
+    try {
+        const list = await webhooksCollection.find().sort({ createdAt: -1 }).toArray();
+        res.json({ events: WEBHOOK_EVENTS, webhooks: list.map((webhook) => describeWebhook(webhook)) });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch webhooks' });
+    }
+});
+
+// The secret is only returned here and when it is changed, for signature checks.
+app.post('/webhooks', async (req, res) => {
+    let fields;
+    try {
+        fields = parseWebhook(req.body);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    try {
+        const webhook = { ...fields, createdAt: new Date(), updatedAt: new Date() };
+        const { insertedId } = await webhooksCollection.insertOne(webhook);
+        res.status(201).json(describeWebhook({ ...webhook, _id: insertedId }, { withSecret: true }));
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to create webhook' });
+    }
+});
+
+app.get('/webhooks/:id', async (req, res) => {
+    const webhookId = parseWebhookId(req, res);
+    if (!webhookId) return;
+    try {
+        const webhook = await webhooksCollection.findOne({ _id: webhookId });
+        if (!webhook) return res.status(404).json({ error: 'Webhook not found' });
+        res.json(describeWebhook(webhook));
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch webhook' });
+    }
+});
+
+app.patch('/webhooks/:id', async (req, res) => {
+    const webhookId = parseWebhookId(req, res);
+    if (!webhookId) return;
+    try {
+        const current = await webhooksCollection.findOne({ _id: webhookId });
+        if (!current) return res.status(404).json({ error: 'Webhook not found' });
+        let fields;
+        try {
+            fields = parseWebhook(req.body, current);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        const webhook = { ...current, ...fields, updatedAt: new Date() };
+        await webhooksCollection.updateOne({ _id: webhookId }, { $set: { ...fields, updatedAt: webhook.updatedAt } });
+        res.json(describeWebhook(webhook, { withSecret: fields.secret !== undefined }));
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to update webhook' });
+    }
+});
+
+// Pending deliveries fail on their next attempt once the subscription is gone.
+app.delete('/webhooks/:id', async (req, res) => {
+    const webhookId = parseWebhookId(req, res);
+    if (!webhookId) return;
+    try {
+        const { deletedCount } = await webhooksCollection.deleteOne({ _id: webhookId });
+        if (!deletedCount) return res.status(404).json({ error: 'Webhook not found' });
+        res.json({ message: 'Webhook deleted.' });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to delete webhook' });
+    }
+});
+
+// Sends a signed "ping" event, e.g. to check a receiver and its signature code.
+app.post('/webhooks/:id/test', async (req, res) => {
+    const webhookId = parseWebhookId(req, res);
+    if (!webhookId) return;
+    try {
+        const webhook = await webhooksCollection.findOne({ _id: webhookId });
+        if (!webhook) return res.status(404).json({ error: 'Webhook not found' });
+        const deliveryId = await webhooks.sendTest(webhook);
+        res.status(202).json({ deliveryId: deliveryId.toString() });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to send test delivery' });
+    }
+});
+
+// Delivery log, newest first, with every attempt and the receiver's answer.
+app.get('/webhooks/:id/deliveries', async (req, res) => {
+    const webhookId = parseWebhookId(req, res);
+    if (!webhookId) return;
+    const { status, event } = req.query;
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of ${DELIVERY_STATUSES.join(', ')}` });
+    }
+    let paging;
+    try {
+        paging = parseResultsPage(req.query);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    const query = { webhookId };
+    if (status) query.status = status;
+    if (event) query.event = String(event);
+    try {
+        const [items, total] = await Promise.all([
+            deliveriesCollection.find(query).sort({ createdAt: -1, _id: -1 }).skip(paging.skip).limit(paging.pageSize).toArray(),
+            deliveriesCollection.countDocuments(query),
+        ]);
+        res.json({ items, total, page: paging.page, pageSize: paging.pageSize, totalPages: Math.ceil(total / paging.pageSize) });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch deliveries' });
+    }
+});
+
+app.post('/webhooks/deliveries/:id/redeliver', async (req, res) => {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid delivery id' });
+    try {
+        const queued = await webhooks.redeliver(new ObjectId(id));
+        if (!queued) return res.status(404).json({ error: 'Delivery not found' });
+        res.status(202).json({ message: 'Delivery queued.' });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to queue delivery' });
     }
 });
 
@@ -184,19 +1157,114 @@ app.get('/events/:id', (req, res) => {
 });
 
 app.get('/results', async (req, res) => {
-    const { website, tld, reason } = req.query;
-    const query = {};
-    if (website) query.website = { $regex: website, $options: 'i' };
-    if (tld) query.tld = { $regex: `^${tld}$`, $options: 'i' };
-    if (reason) {
-        if (reason === 'has-expiry-date') {
-            query.expiryDate = { $ne: null };
-        } else {
-            query.expiryDateReason = reason;
+    let query, sort, paging;
+    try {
+        query = buildResultsQuery(req.query);
+        sort = parseResultsSort(req.query);
+        paging = parseResultsPage(req.query);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    try {
+        const [items, total] = await Promise.all([
+            resultsCollection.find(query).sort(sort.sort).skip(paging.skip).limit(paging.pageSize).toArray(),
+            resultsCollection.countDocuments(query),
+        ]);
+        res.json({
+            items, total, page: paging.page, pageSize: paging.pageSize,
+            totalPages: Math.ceil(total / paging.pageSize), sort: sort.field, order: sort.order,
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch results' });
+    }
+});
+
+app.get('/results/export', async (req, res) => {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    if (!EXPORT_FORMATS[format]) {
+        return res.status(400).json({ error: `format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+    let cursor;
+    try {
+        cursor = resultsCollection.find(buildResultsQuery(req.query)).sort(parseResultsSort(req.query).sort);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    try {
+        await streamResultsExport(cursor, format, res);
+    } catch (error) {
+        console.error('Results export failed:', error.message);
+        if (!res.headersSent) res.status(500).json({ error: 'Failed to export results' });
+        else res.destroy();
+    }
+});
+
+app.patch('/results/:id', async (req, res) => {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid result id' });
+    let updates;
+    try {
+        updates = parseTriageUpdate(req.body);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    try {
+        const _id = new ObjectId(id);
+        for (const update of updates) {
+            const { matchedCount } = await resultsCollection.updateOne({ _id }, update);
+            if (!matchedCount) return res.status(404).json({ error: 'Result not found' });
         }
+        res.json(await resultsCollection.findOne({ _id }));
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to update result' });
     }
-    const results = await resultsCollection.find(query).sort({ foundAt: -1 }).toArray();
-    res.json(results);
+});
+
+// Bulk triage: { ids: [...], triageStatus?, addTags?, removeTags?, notes? }.
+app.patch('/results', async (req, res) => {
+    const { ids, ...changes } = req.body || {};
+    if (!Array.isArray(ids) || !ids.length) return res.status(400).json({ error: 'ids must be a non-empty array' });
+    if (ids.length > 1000) return res.status(400).json({ error: 'At most 1000 results can be updated at once' });
+    if (!ids.every((id) => ObjectId.isValid(id))) return res.status(400).json({ error: 'ids contains an invalid result id' });
+    let updates;
+    try {
+        updates = parseTriageUpdate(changes);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    try {
+        const filter = { _id: { $in: ids.map((id) => new ObjectId(id)) } };
+        let matched = 0;
+        for (const update of updates) {
+            const { matchedCount } = await resultsCollection.updateMany(filter, update);
+            matched = Math.max(matched, matchedCount);
+        }
+        res.json({ matched });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to update results' });
+    }
+});
+
+app.get('/results/triage', async (req, res) => {
+    try {
+        const tags = await resultsCollection.distinct('tags');
+        res.json({ statuses: TRIAGE_STATUSES, tags: tags.filter(Boolean).sort(), lifecycleStages: LIFECYCLE_STAGES });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch triage options' });
+    }
+});
+
+app.get('/results/scoring', (req, res) => {
+    res.json({ weights: scorer.weights });
+});
+
+// Re-scores every result, e.g. after SCORE_WEIGHTS changed. Runs in the
+// background because it walks the whole collection.
+app.post('/results/score', (req, res) => {
+    scorer.scoreAll()
+        .then((count) => console.log(`Re-scored ${count} domains.`))
+        .catch((err) => console.error('Re-scoring failed', err));
+    res.status(202).json({ message: 'Re-scoring started.' });
 });
 
 app.get('/results/reasons', async (req, res) => {
@@ -209,6 +1277,94 @@ app.get('/results/reasons', async (req, res) => {
     }
 });
 
+app.get('/results/:id/sources', async (req, res) => {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid result id' });
+    try {
+        const result = await resultsCollection.findOne({ _id: new ObjectId(id) });
+        if (!result) return res.status(404).json({ error: 'Result not found' });
+        const sources = await sourcesCollection
+            .find({ website: result.website, domain: result.domain })
+            .sort({ sourceUrl: 1, targetUrl: 1 })
+            .toArray();
+        res.json(sources);
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch sources' });
+    }
+});
+
+app.get('/results/:id/history', async (req, res) => {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid result id' });
+    try {
+        const result = await resultsCollection.findOne({ _id: new ObjectId(id) });
+        if (!result) return res.status(404).json({ error: 'Result not found' });
+        const history = await historyCollection.find({ resultId: result._id }).sort({ checkedAt: -1 }).toArray();
+        const lastChecked = result.lastVerifiedAt || result.foundAt;
+        res.json({
+            domain: result.domain, website: result.website, lastVerifiedAt: result.lastVerifiedAt || null,
+            nextVerificationAt: reverifier.enabled && lastChecked
+                ? new Date(new Date(lastChecked).getTime() + reverifier.intervalHours * 60 * 60 * 1000)
+                : null,
+            history,
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch history' });
+    }
+});
+
+app.get('/results/tlds', async (req, res) => {
+    try {
+        const tlds = await resultsCollection.distinct('tld');
+        res.json(tlds.filter(tld => tld).sort());
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch TLDs' });
+    }
+});
+
+app.get('/domains', async (req, res) => {
+    let built;
+    try {
+        built = buildDomainsPipeline(req.query);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    try {
+        const [{ items, total }] = await resultsCollection.aggregate(built.pipeline, { allowDiskUse: true }).toArray();
+        const count = total[0]?.count || 0;
+        res.json({
+            items, total: count, page: built.paging.page, pageSize: built.paging.pageSize,
+            totalPages: Math.ceil(count / built.paging.pageSize), sort: built.sort.field, order: built.sort.order,
+        });
+    } catch (error) {
+        console.error('Domain index query failed:', error.message);
+        res.status(500).json({ error: 'Failed to fetch domains' });
+    }
+});
+
+app.get('/domains/:domain', async (req, res) => {
+    // Results store domains in ASCII form; accept the Unicode spelling too.
+    const domain = domainToASCII(req.params.domain.trim().toLowerCase());
+    if (!domain) return res.status(400).json({ error: 'Invalid domain' });
+    try {
+        const results = await resultsCollection.find({ domain }).toArray();
+        if (!results.length) return res.status(404).json({ error: 'Domain not found' });
+        const sourceStats = await sourcesCollection.aggregate([
+            { $match: { domain } },
+            {
+                $group: {
+                    _id: '$website', urls: { $addToSet: '$sourceUrl' },
+                    firstSeenAt: { $min: '$firstSeenAt' }, lastSeenAt: { $max: '$lastSeenAt' },
+                },
+            },
+            { $project: { pages: { $size: '$urls' }, firstSeenAt: 1, lastSeenAt: 1 } },
+        ]).toArray();
+        res.json(summarizeDomain(domain, results, sourceStats));
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch domain' });
+    }
+});
+
 app.get('/summary', async (req, res) => {
     try {
         const summary = await resultsCollection.aggregate([
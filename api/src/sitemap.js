@@ -0,0 +1,76 @@
+import { promisify } from 'node:util';
+import { gunzip as gunzipCallback } from 'node:zlib';
+import got from 'got';
+import * as cheerio from 'cheerio';
+
+const gunzip = promisify(gunzipCallback);
+
+// The sitemaps.org limit for one file, compressed or not.
+const MAX_SITEMAP_BYTES = 50 * 1024 * 1024;
+
+const isGzip = (buf) => buf.length > 2 && buf[0] === 0x1f && buf[1] === 0x8b;
+
+// Sitemap hosts share the crawl's politeness delays and fetch budget, and a
+// body over `maxBytes` is abandoned before or after decompression.
+async function fetchSitemap(url, { timeout, maxBytes, politeness, limiter }) {
+    const host = new URL(url).host;
+    if (politeness) await politeness.wait(host);
+    const started = Date.now();
+    let res;
+    try {
+        res = await limiter.run('fetch', () => {
+            const request = got(url, { timeout: { request: timeout }, responseType: 'buffer', throwHttpErrors: false, retry: { limit: 0 } });
+            request.on('downloadProgress', ({ transferred, total }) => {
+                if (Math.max(transferred, total || 0) > maxBytes) request.cancel(`Sitemap ${url} is over ${maxBytes} bytes`);
+            });
+            return request;
+        });
+    } catch (err) {
+        politeness?.recordResponse(host, { statusCode: err.response?.statusCode, durationMs: Date.now() - started });
+        throw err;
+    }
+    politeness?.recordResponse(host, {
+        statusCode: res.statusCode, durationMs: Date.now() - started, retryAfter: res.headers['retry-after'],
+    });
+    if (res.statusCode >= 400) return null;
+    const body = isGzip(res.body) ? await gunzip(res.body, { maxOutputLength: maxBytes }) : res.body;
+    return cheerio.load(body.toString('utf8'), { xmlMode: true });
+}
+
+// Walks sitemap indexes breadth-first and returns the page URLs they list.
+// `accept` filters page URLs (e.g. to keep the crawl on the scanned origin).
+export async function discoverSitemapUrls({
+    origin, sitemaps = [], accept = () => true, maxSitemaps = 50, maxUrls = 50000, timeout = 15000,
+    maxBytes = MAX_SITEMAP_BYTES, politeness = null, limiter = { run: (kind, fn) => fn() },
+}) {
+    const pending = sitemaps.length ? [...sitemaps] : [new URL('/sitemap.xml', origin).toString()];
+    const seenSitemaps = new Set();
+    const urls = new Set();
+
+    while (pending.length && seenSitemaps.size < maxSitemaps && urls.size < maxUrls) {
+        const sitemapUrl = pending.shift();
+        if (seenSitemaps.has(sitemapUrl)) continue;
+        seenSitemaps.add(sitemapUrl);
+
+        let $;
+        try {
+            $ = await fetchSitemap(sitemapUrl, { timeout, maxBytes, politeness, limiter });
+        } catch {
+            continue;
+        }
+        if (!$) continue;
+
+        $('sitemapindex > sitemap > loc').each((_, el) => {
+            const loc = $(el).text().trim();
+            if (loc && !seenSitemaps.has(loc)) pending.push(loc);
+        });
+        $('urlset > url > loc').each((_, el) => {
+            if (urls.size >= maxUrls) return false;
+            const loc = $(el).text().trim();
+            try {
+                if (loc && accept(new URL(loc))) urls.add(new URL(loc).toString());
+            } catch { /* ignore malformed <loc> entries */ }
+        });
+    }
+    return { urls: [...urls], sitemaps: [...seenSitemaps] };
+}
@@ -0,0 +1,151 @@
+import { URL } from 'node:url';
+
+// Per-scan URL handling: how discovered hrefs are canonicalized before they
+// reach the frontier, and which same-site URLs are worth fetching at all.
+
+const TRACKING_PARAMS = [
+    /^utm_/, /^gclid$/, /^gclsrc$/, /^dclid$/, /^fbclid$/, /^msclkid$/, /^yclid$/, /^_ga$/, /^_gl$/,
+    /^mc_cid$/, /^mc_eid$/, /^_hsenc$/, /^_hsmi$/, /^mkt_tok$/, /^igshid$/,
+];
+const SESSION_PARAMS = [/^phpsessid$/, /^jsessionid$/, /^aspsessionid/, /^sessionid$/, /^session_id$/, /^sid$/, /^cfid$/, /^cftoken$/];
+
+export const DEFAULT_SKIP_EXTENSIONS = [
+    'jpg', 'jpeg', 'png', 'gif', 'webp', 'svg', 'ico', 'bmp', 'tif', 'tiff', 'avif',
+    'pdf', 'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx', 'csv',
+    'zip', 'gz', 'tgz', 'tar', 'rar', '7z', 'exe', 'dmg', 'iso', 'apk',
+    'mp3', 'wav', 'ogg', 'mp4', 'm4v', 'avi', 'mov', 'wmv', 'flv', 'webm',
+    'css', 'js', 'json', 'woff', 'woff2', 'ttf', 'eot',
+];
+
+export const DEFAULT_URL_RULES = {
+    stripTracking: true,
+    stripSessionIds: true,
+    sortQuery: true,
+    trailingSlash: 'strip',
+    honorCanonical: true,
+    include: [],
+    exclude: [],
+    skipExtensions: DEFAULT_SKIP_EXTENSIONS,
+};
+
+const MAX_RULE_LENGTH = 200;
+const QUANTIFIER = /[+*]|\{\d+,\d*\}/;
+const LEADING_QUANTIFIER = new RegExp(`^(?:${QUANTIFIER.source})`);
+
+// Whether a quantified group itself repeats, e.g. (a+)+ or ((\w)*x)*, which can
+// backtrack exponentially on a long URL. Groups are folded innermost first.
+function hasNestedQuantifier(source) {
+    let rest = source.replace(/\\./g, 'e').replace(/\[[^\]]*\]/g, 'e');
+    const group = /\(([^()]*)\)/;
+    for (let m = group.exec(rest); m; m = group.exec(rest)) {
+        const after = rest.slice(m.index + m[0].length);
+        const repeats = QUANTIFIER.test(m[1]);
+        if (repeats && LEADING_QUANTIFIER.test(after)) return true;
+        rest = rest.slice(0, m.index) + (repeats ? 'e*' : 'e') + after;
+    }
+    return false;
+}
+
+// A rule prefixed with `re:` is a case-insensitive regex; anything else is a
+// glob where `*` matches any run of characters and `?` a single one. Both are
+// matched against the URL's path and query string.
+function compileRule(rule) {
+    if (rule.startsWith('re:')) return new RegExp(rule.slice(3), 'i');
+    const escaped = rule.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+    return new RegExp(`^${escaped}$`, 'i');
+}
+
+const toList = (value) => (Array.isArray(value) ? value : String(value || '').split(/\r?\n/))
+    .map((item) => String(item).trim())
+    .filter(Boolean);
+
+// Fills in defaults and validates user-supplied rules. Throws with a readable
+// message when a pattern does not compile so routes can answer 400.
+export function normalizeUrlRules(input = {}) {
+    const rules = { ...DEFAULT_URL_RULES };
+    for (const key of ['stripTracking', 'stripSessionIds', 'sortQuery', 'honorCanonical']) {
+        if (input[key] !== undefined) rules[key] = Boolean(input[key]);
+    }
+    if (input.trailingSlash !== undefined) {
+        if (!['strip', 'keep'].includes(input.trailingSlash)) throw new Error("trailingSlash must be 'strip' or 'keep'");
+        rules.trailingSlash = input.trailingSlash;
+    }
+    if (input.include !== undefined) rules.include = toList(input.include);
+    if (input.exclude !== undefined) rules.exclude = toList(input.exclude);
+    if (input.skipExtensions !== undefined) {
+        rules.skipExtensions = toList(input.skipExtensions).map((ext) => ext.replace(/^\./, '').toLowerCase());
+    }
+    for (const rule of [...rules.include, ...rules.exclude]) {
+        if (rule.length > MAX_RULE_LENGTH) throw new Error(`URL rule is longer than ${MAX_RULE_LENGTH} characters: ${rule.slice(0, 40)}...`);
+        if (rule.startsWith('re:') && hasNestedQuantifier(rule.slice(3))) {
+            throw new Error(`URL rule has a nested quantifier that can run away: ${rule}`);
+        }
+        try {
+            compileRule(rule);
+        } catch {
+            throw new Error(`Invalid URL rule: ${rule}`);
+        }
+    }
+    return rules;
+}
+
+function decodeParam(value) {
+    try {
+        return decodeURIComponent(value.replace(/\+/g, ' '));
+    } catch {
+        return value;
+    }
+}
+
+export function createUrlPolicy(input) {
+    const rules = normalizeUrlRules(input);
+    const include = rules.include.map(compileRule);
+    const exclude = rules.exclude.map(compileRule);
+    const skipExtensions = new Set(rules.skipExtensions);
+    const dropParams = [
+        ...(rules.stripTracking ? TRACKING_PARAMS : []),
+        ...(rules.stripSessionIds ? SESSION_PARAMS : []),
+    ];
+
+    // Resolves href against base and returns the canonical form, or null for
+    // anything that is not an http(s) URL.
+    function canonicalize(href, base) {
+        let u;
+        try {
+            u = new URL(href, base);
+        } catch {
+            return null;
+        }
+        if (u.protocol !== 'http:' && u.protocol !== 'https:') return null;
+        u.hash = '';
+        if (rules.stripSessionIds) u.pathname = u.pathname.replace(/;jsessionid=[^/]*/i, '');
+
+        // The query is only rebuilt when a parameter is dropped or moved, and
+        // then from the raw pairs, so `?a`, `%20` and reserved characters survive.
+        const pairs = u.search.slice(1).split('&').filter(Boolean).map((raw) => ({ raw, name: decodeParam(raw.split('=')[0]) }));
+        const kept = pairs.filter(({ name }) => !dropParams.some((re) => re.test(name.toLowerCase())));
+        if (rules.sortQuery) kept.sort((a, b) => a.name.localeCompare(b.name) || a.raw.localeCompare(b.raw));
+        if (kept.length !== pairs.length || kept.some((pair, i) => pair !== pairs[i])) {
+            u.search = kept.map(({ raw }) => raw).join('&');
+        }
+
+        if (rules.trailingSlash === 'strip' && u.pathname.length > 1 && u.pathname.endsWith('/')) {
+            u.pathname = u.pathname.replace(/\/+$/, '') || '/';
+        }
+        return u.toString();
+    }
+
+    // Decides whether a same-site URL should be fetched; `reason` explains a no.
+    function check(url) {
+        const u = new URL(url);
+        const target = u.pathname + u.search;
+        const extension = /\.([a-z0-9]+)$/i.exec(u.pathname)?.[1]?.toLowerCase();
+        if (extension && skipExtensions.has(extension)) return { allowed: false, reason: `extension .${extension}` };
+        if (include.length && !include.some((re) => re.test(target))) return { allowed: false, reason: 'not included' };
+        const excludedBy = exclude.findIndex((re) => re.test(target));
+        if (excludedBy !== -1) return { allowed: false, reason: `excluded by ${rules.exclude[excludedBy]}` };
+        return { allowed: true, reason: null };
+    }
+
+    return { rules, canonicalize, check };
+}
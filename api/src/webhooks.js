@@ -0,0 +1,241 @@
+import { createHmac, randomBytes, randomUUID } from 'node:crypto';
+import got from 'got';
+import { ObjectId } from 'mongodb';
+import { createJobScheduler } from './scheduler.js';
+
+// Outbound notifications. Every event is stored as one delivery per matching
+// subscription and sent by its own job scheduler, so retries survive restarts
+// and a slow receiver never holds up scan or re-verification jobs. Each
+// subscription's deliveries go out one at a time while different
+// subscriptions are sent to in parallel. The deliveries double as the log
+// behind GET /webhooks/:id/deliveries; their jobs are removed once finished.
+
+export const WEBHOOK_EVENTS = ['domain.expired-found', 'domain.now-available', 'scan.completed', 'scan.failed'];
+export const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+// Sent by POST /webhooks/:id/test whatever the subscription's events are.
+export const PING_EVENT = 'ping';
+
+const DELIVER_JOB = 'webhook-delivery';
+const SIGNATURE_HEADER = 'X-Webhook-Signature';
+
+const list = (value) => (Array.isArray(value) ? value : String(value ?? '').split(','))
+    .map((item) => String(item).trim().toLowerCase())
+    .filter(Boolean);
+
+function parseFilters(value = {}) {
+    const filters = {
+        websites: list(value.websites),
+        tlds: list(value.tlds).map((tld) => tld.replace(/^\./, '')),
+        minScore: null,
+    };
+    if (value.minScore !== undefined && value.minScore !== null && value.minScore !== '') {
+        const score = Number(value.minScore);
+        if (!Number.isFinite(score) || score < 0 || score > 100) throw new Error('filters.minScore must be between 0 and 100');
+        filters.minScore = score;
+    }
+    return filters;
+}
+
+// Validates a POST body, or a PATCH body against the stored subscription.
+// New subscriptions get a random secret unless one is given.
+export function parseWebhook(body = {}, current = null) {
+    const webhook = {};
+    if (!current || body.url !== undefined) {
+        let url;
+        try {
+            url = new URL(String(body.url || ''));
+        } catch {
+            throw new Error('url must be a valid URL');
+        }
+        if (!['http:', 'https:'].includes(url.protocol)) throw new Error('url must be http or https');
+        webhook.url = url.href;
+    }
+    if (!current || body.events !== undefined) {
+        const events = [...new Set(list(body.events))];
+        if (!events.length) throw new Error(`events must list at least one of ${WEBHOOK_EVENTS.join(', ')}`);
+        const unknown = events.find((event) => !WEBHOOK_EVENTS.includes(event));
+        if (unknown) throw new Error(`Unknown event "${unknown}"; use ${WEBHOOK_EVENTS.join(', ')}`);
+        webhook.events = events;
+    }
+    if (!current || body.filters !== undefined) webhook.filters = parseFilters(body.filters || {});
+    if (!current || body.description !== undefined) webhook.description = String(body.description || '').trim();
+    if (!current || body.enabled !== undefined) webhook.enabled = body.enabled === undefined ? true : Boolean(body.enabled);
+    if (!current || body.secret !== undefined) {
+        const secret = body.secret ? String(body.secret) : randomBytes(24).toString('hex');
+        if (secret.length < 16) throw new Error('secret must be at least 16 characters');
+        webhook.secret = secret;
+    }
+    return webhook;
+}
+
+// Website filters apply to every event; TLD and score filters only to
+// events about a domain, which are the ones whose subject carries them.
+export function matchesFilters(filters = {}, subject = {}) {
+    if (filters.websites?.length && !filters.websites.includes(String(subject.website || '').toLowerCase())) return false;
+    if ('tld' in subject && filters.tlds?.length && !filters.tlds.includes(String(subject.tld || '').toLowerCase())) return false;
+    if ('score' in subject && filters.minScore != null && !(subject.score >= filters.minScore)) return false;
+    return true;
+}
+
+// Receivers recompute this over the raw body with their copy of the secret.
+export const signPayload = (secret, timestamp, body) => createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+export const describeWebhook = (webhook, { withSecret = false } = {}) => ({
+    id: webhook._id.toString(),
+    url: webhook.url,
+    description: webhook.description,
+    events: webhook.events,
+    filters: webhook.filters,
+    enabled: webhook.enabled,
+    createdAt: webhook.createdAt,
+    updatedAt: webhook.updatedAt || null,
+    ...(withSecret && { secret: webhook.secret }),
+});
+
+export function createWebhookDispatcher({
+    webhooksCollection,
+    deliveriesCollection,
+    jobsCollection,
+    timeoutMs = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+    maxAttempts = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+    retryDelayMs = Number(process.env.WEBHOOK_RETRY_DELAY_MS) || 30000,
+    concurrency = Number(process.env.WEBHOOK_CONCURRENCY) || 4,
+    pollIntervalMs = 5000,
+}) {
+    async function ensureIndexes() {
+        await webhooksCollection.createIndex({ enabled: 1, events: 1 });
+        await deliveriesCollection.createIndex({ webhookId: 1, createdAt: -1 });
+        // A domain found again by a later batch of the same scan is only announced once.
+        await deliveriesCollection.createIndex(
+            { webhookId: 1, dedupeKey: 1 },
+            { unique: true, partialFilterExpression: { dedupeKey: { $type: 'string' } } }
+        );
+        // Finished delivery jobs kept from before they were removed as they finish.
+        await jobsCollection.deleteMany({ type: DELIVER_JOB, status: { $in: ['done', 'failed'] } });
+    }
+
+    async function send(delivery, webhook) {
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Math.floor(Date.now() / 1000);
+        const started = Date.now();
+        try {
+            const res = await got.post(webhook.url, {
+                body,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'expired-domain-scanner-webhooks',
+                    'X-Webhook-Event': delivery.event,
+                    'X-Webhook-Delivery': delivery._id.toString(),
+                    'X-Webhook-Timestamp': String(timestamp),
+                    [SIGNATURE_HEADER]: `sha256=${signPayload(webhook.secret, timestamp, body)}`,
+                },
+                timeout: { request: timeoutMs },
+                retry: { limit: 0 },
+                followRedirect: false,
+                throwHttpErrors: false,
+            });
+            return {
+                ok: res.statusCode >= 200 && res.statusCode < 300, statusCode: res.statusCode,
+                error: null, responseBody: String(res.body || '').slice(0, 500), durationMs: Date.now() - started,
+            };
+        } catch (err) {
+            return { ok: false, statusCode: null, error: err.message, responseBody: null, durationMs: Date.now() - started };
+        }
+    }
+
+    // Throwing hands the retry and its backoff to the scheduler.
+    async function deliver(job) {
+        const _id = new ObjectId(job.key);
+        const delivery = await deliveriesCollection.findOne({ _id });
+        if (!delivery || delivery.status !== 'pending') return;
+        const webhook = await webhooksCollection.findOne({ _id: delivery.webhookId });
+        if (!webhook) {
+            await deliveriesCollection.updateOne({ _id }, { $set: { status: 'failed', lastError: 'Webhook was deleted' } });
+            return;
+        }
+        const { ok, ...attempt } = await send(delivery, webhook);
+        const exhausted = !ok && job.attempts >= maxAttempts;
+        const now = new Date();
+        await deliveriesCollection.updateOne({ _id }, {
+            $push: { attempts: { at: now, ...attempt } },
+            $set: {
+                status: ok ? 'delivered' : exhausted ? 'failed' : 'pending',
+                lastStatusCode: attempt.statusCode, lastError: attempt.error,
+                deliveredAt: ok ? now : null,
+                nextAttemptAt: ok || exhausted ? null : new Date(now.getTime() + retryDelayMs * 2 ** (job.attempts - 1)),
+            },
+        });
+        if (!ok) throw new Error(attempt.error || `Receiver answered ${attempt.statusCode}`);
+    }
+
+    const scheduler = createJobScheduler({
+        jobsCollection, handlers: { [DELIVER_JOB]: deliver }, pollIntervalMs, retryDelayMs, maxAttempts,
+        concurrency, removeFinished: true,
+    });
+
+    const scheduleDelivery = (deliveryId, webhookId) =>
+        scheduler.schedule(DELIVER_JOB, deliveryId.toString(), Date.now(), { group: webhookId.toString() });
+
+    async function enqueue(webhook, event, payload, dedupeKey) {
+        let insertedId;
+        try {
+            ({ insertedId } = await deliveriesCollection.insertOne({
+                webhookId: webhook._id, event, dedupeKey, payload, status: 'pending', attempts: [],
+                lastStatusCode: null, lastError: null, createdAt: new Date(), deliveredAt: null, nextAttemptAt: new Date(),
+            }));
+        } catch (err) {
+            if (err.code === 11000) return null;
+            throw err;
+        }
+        await scheduleDelivery(insertedId, webhook._id);
+        return insertedId;
+    }
+
+    // Queues `event` for every enabled subscription it matches and starts
+    // sending straight away. `subject` holds the fields filters look at.
+    async function publish(event, data, subject = {}, { dedupeKey = null } = {}) {
+        const webhooks = await webhooksCollection.find({ enabled: true, events: event }).toArray();
+        const matching = webhooks.filter((webhook) => matchesFilters(webhook.filters, subject));
+        if (!matching.length) return 0;
+        const payload = { id: randomUUID(), event, createdAt: new Date(), data };
+        let queued = 0;
+        for (const webhook of matching) {
+            if (await enqueue(webhook, event, payload, dedupeKey)) queued++;
+        }
+        if (queued) scheduler.poll();
+        return queued;
+    }
+
+    // Whether a score has to be known before `event` can be filtered.
+    const needsScore = async (event) =>
+        Boolean(await webhooksCollection.findOne({ enabled: true, events: event, 'filters.minScore': { $ne: null } }));
+
+    async function sendTest(webhook) {
+        const payload = { id: randomUUID(), event: PING_EVENT, createdAt: new Date(), data: { webhookId: webhook._id.toString() } };
+        const deliveryId = await enqueue(webhook, PING_EVENT, payload, null);
+        scheduler.poll();
+        return deliveryId;
+    }
+
+    // Sends a delivery again from scratch, e.g. once the receiver is fixed.
+    async function redeliver(deliveryId) {
+        const delivery = await deliveriesCollection.findOneAndUpdate(
+            { _id: deliveryId },
+            { $set: { status: 'pending', nextAttemptAt: new Date() } }
+        );
+        if (!delivery) return false;
+        await scheduleDelivery(deliveryId, delivery.webhookId);
+        scheduler.poll();
+        return true;
+    }
+
+    return {
+        ensureIndexes,
+        publish,
+        needsScore,
+        sendTest,
+        redeliver,
+        start: () => scheduler.start(),
+        stop: () => scheduler.stop(),
+    };
+}
@@ -0,0 +1,64 @@
+import { createWhmcsProvider } from './whmcs.js';
+import { createRdapProvider } from './rdap.js';
+import { createPort43Provider } from './port43.js';
+import { parseWhois } from './parsers.js';
+import { classifyLifecycle } from './lifecycle.js';
+
+export { registerParser, parseWhois, parseWhoisDate } from './parsers.js';
+export { registerLifecycleRules, classifyLifecycle, LIFECYCLE_STAGES } from './lifecycle.js';
+
+const providerFactories = {
+    rdap: createRdapProvider,
+    port43: createPort43Provider,
+    whmcs: createWhmcsProvider,
+};
+
+const DEFAULT_ORDER = 'rdap,port43,whmcs';
+
+const emptyResult = (reason, provider = null) => ({
+    expiryDate: null, creationDate: null, updatedDate: null, registrar: null, statuses: [], available: false, reason, provider,
+});
+
+export function createWhoisClient({
+    order = (process.env.WHOIS_PROVIDERS || DEFAULT_ORDER).split(',').map((s) => s.trim()).filter(Boolean),
+    providers = order.map((name) => {
+        if (!providerFactories[name]) throw new Error(`Unknown WHOIS provider "${name}"`);
+        return providerFactories[name]();
+    }),
+} = {}) {
+    async function lookup(domain, { suffix = domain.split('.').pop() } = {}) {
+        const result = await query(domain, suffix);
+        return { ...result, ...classifyLifecycle(result, suffix) };
+    }
+
+    async function query(domain, suffix) {
+        const active = providers.filter((p) => p.isConfigured());
+        if (!active.length) return emptyResult('No WHOIS providers configured');
+
+        let reason = 'WHOIS lookup not supported for this TLD';
+        for (const provider of active) {
+            let answer;
+            try {
+                answer = await provider.lookup(domain);
+            } catch (error) {
+                console.error(`WHOIS provider ${provider.name} failed for ${domain}:`, error.message);
+                reason = 'API call failed';
+                continue;
+            }
+            if (!answer) continue;
+            if (answer.available) return { ...emptyResult('Available for registration', provider.name), available: true };
+
+            const parsed = answer.parsed || parseWhois(answer.text, suffix);
+            if (parsed.available) return { ...emptyResult('Available for registration', provider.name), available: true };
+            if (!parsed.expiryDate && !parsed.registrar && !parsed.creationDate) continue;
+            return {
+                ...parsed,
+                reason: parsed.expiryDate ? null : 'No expiry date in WHOIS response',
+                provider: provider.name,
+            };
+        }
+        return emptyResult(reason);
+    }
+
+    return { lookup, providers };
+}
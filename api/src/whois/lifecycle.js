@@ -0,0 +1,79 @@
+// Where a registration sits between expiry and release, and roughly when it
+// will drop. Registries publish their own timelines, so the day counts are
+// per suffix; gTLDs follow the ICANN defaults. These are estimates: a
+// registrar can delete early or renew at any point before the drop.
+
+export const LIFECYCLE_STAGES = ['active', 'expired-grace', 'redemption', 'pending-delete', 'available'];
+
+const DEFAULT_RULES = { graceDays: 45, redemptionDays: 30, pendingDeleteDays: 5 };
+
+// Status codes (as stored by toEppStatus) that place a domain in a stage, most
+// advanced first. Nominet reports sentences rather than EPP codes.
+const STAGE_STATUSES = [
+    [/redemptionperiod/i, 'redemption'],
+    [/pendingdelete|nolongerrequired|no longer required/i, 'pending-delete'],
+    [/autorenewperiod|renewalrequired|renewal required/i, 'expired-grace'],
+];
+
+const rulesBySuffix = new Map();
+
+export function registerLifecycleRules(suffixes, rules) {
+    for (const suffix of [].concat(suffixes)) rulesBySuffix.set(suffix.toLowerCase(), { ...DEFAULT_RULES, ...rules });
+}
+
+export function getLifecycleRules(suffix) {
+    const labels = (suffix || '').toLowerCase().split('.');
+    for (let i = 0; i < labels.length; i++) {
+        const rules = rulesBySuffix.get(labels.slice(i).join('.'));
+        if (rules) return rules;
+    }
+    return DEFAULT_RULES;
+}
+
+const parseDay = (value) => {
+    const date = value ? new Date(value) : null;
+    return date && !isNaN(date) ? date : null;
+};
+const addDays = (date, days) => new Date(date.getTime() + days * 24 * 60 * 60 * 1000);
+const toDay = (date) => (date ? date.toISOString().split('T')[0] : null);
+
+// lifecycleRank is the stage's position in LIFECYCLE_STAGES, for sorting.
+const withRank = (lifecycleStage, estimatedDropDate) => ({
+    lifecycleStage,
+    lifecycleRank: lifecycleStage ? LIFECYCLE_STAGES.indexOf(lifecycleStage) : null,
+    estimatedDropDate,
+});
+
+export function classifyLifecycle({ available, statuses = [], expiryDate, updatedDate }, suffix, now = new Date()) {
+    if (available) return withRank('available', null);
+    const rules = getLifecycleRules(suffix);
+    const expiry = parseDay(expiryDate);
+    // The registry touches the record when it changes stage, so the last
+    // update is the best guess for when the current stage began.
+    const updated = parseDay(updatedDate);
+    const afterExpiry = (days) => (expiry ? addDays(expiry, days) : null);
+    const untilDrop = rules.graceDays + rules.redemptionDays + rules.pendingDeleteDays;
+
+    let lifecycleStage = STAGE_STATUSES.find(([pattern]) => statuses.some((status) => pattern.test(status)))?.[1];
+    if (!lifecycleStage && expiry) lifecycleStage = expiry < now ? 'expired-grace' : 'active';
+    if (!lifecycleStage) return withRank(statuses.length ? 'active' : null, null);
+
+    let drop;
+    if (lifecycleStage === 'redemption') {
+        const start = updated || afterExpiry(rules.graceDays);
+        drop = start && addDays(start, rules.redemptionDays + rules.pendingDeleteDays);
+    } else if (lifecycleStage === 'pending-delete') {
+        drop = addDays(updated || now, rules.pendingDeleteDays);
+    } else {
+        drop = afterExpiry(untilDrop);
+    }
+    return withRank(lifecycleStage, toDay(drop));
+}
+
+// Nominet suspends at 30 days and cancels at 90 with no redemption; DENIC,
+// EURid, SIDN and AFNIC delete straight away and quarantine instead.
+registerLifecycleRules('uk', { graceDays: 90, redemptionDays: 0, pendingDeleteDays: 2 });
+registerLifecycleRules('de', { graceDays: 0, redemptionDays: 30, pendingDeleteDays: 0 });
+registerLifecycleRules('eu', { graceDays: 0, redemptionDays: 40, pendingDeleteDays: 0 });
+registerLifecycleRules('nl', { graceDays: 0, redemptionDays: 40, pendingDeleteDays: 0 });
+registerLifecycleRules('fr', { graceDays: 0, redemptionDays: 30, pendingDeleteDays: 0 });
@@ -0,0 +1,128 @@
+const MONTHS = { jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5, jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11 };
+
+const EXPIRY_KEYS = [
+    'registry expiry date', 'registrar registration expiration date', 'expiry date', 'expiration date',
+    'expiration time', 'expires', 'expires on', 'expire date', 'paid-till', 'renewal date', 'valid until',
+];
+const CREATION_KEYS = [
+    'creation date', 'created', 'created on', 'registered on', 'registration date', 'registration time',
+    'domain registration date', 'registered',
+];
+const UPDATED_KEYS = ['updated date', 'last updated', 'last modified', 'last update', 'modified', 'changed'];
+const REGISTRAR_KEYS = ['registrar', 'sponsoring registrar', 'registrar name'];
+const STATUS_KEYS = ['domain status', 'status', 'state', 'registration status'];
+
+const AVAILABLE_PATTERNS = [
+    /^no match for/im, /^not found/im, /no data found/i, /no entries found/i, /^status:\s*(free|available)/im,
+    /domain not found/i, /is available for registration/i, /no object found/i, /^%% not found/im,
+    /this domain name has not been registered/i, /the queried object does not exist/i,
+];
+
+export function parseWhoisDate(value) {
+    if (!value) return null;
+    const str = value.trim();
+    let m = str.match(/^(\d{4})[-./](\d{2})[-./](\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?/);
+    if (m) {
+        const date = new Date(Date.UTC(+m[1], +m[2] - 1, +m[3], +(m[4] || 0), +(m[5] || 0), +(m[6] || 0)));
+        return isNaN(date) ? null : date;
+    }
+    m = str.match(/^(\d{1,2})[- ]([A-Za-z]{3})[a-z]*[- ](\d{4})/);
+    if (m && MONTHS[m[2].toLowerCase()] !== undefined) {
+        return new Date(Date.UTC(+m[3], MONTHS[m[2].toLowerCase()], +m[1]));
+    }
+    const date = new Date(str);
+    return isNaN(date) ? null : date;
+}
+
+const toDay = (date) => (date ? date.toISOString().split('T')[0] : null);
+
+// EPP statuses arrive as "clientHold https://icann.org/epp#clientHold",
+// "redemption period" or "PENDING-DELETE"; store them all as camelCase codes.
+export const toEppStatus = (status) => {
+    const code = status.replace(/\(?https?:\/\/\S*\)?/g, '').trim();
+    if (/^[a-z][A-Za-z]*$/.test(code)) return code;
+    return code.toLowerCase().replace(/[\s_-]+(\w)/g, (_, c) => c.toUpperCase());
+};
+
+// Splits a WHOIS response into lowercase key/value pairs. Keys without a value
+// on the same line pick up the first indented line below them (Nominet/EURid style).
+function keyValues(text) {
+    const lines = text.replace(/\r/g, '').split('\n');
+    const pairs = [];
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        if (/^\s*[%#>]/.test(line)) continue;
+        const m = line.match(/^\s*([^:]{2,60}?)\s*:\s*(.*)$/);
+        if (!m) continue;
+        const key = m[1].toLowerCase();
+        let value = m[2].trim();
+        if (!value && lines[i + 1] && /^\s+\S/.test(lines[i + 1])) {
+            value = lines[i + 1].trim().replace(/^name:\s*/i, '');
+        }
+        if (value) pairs.push([key, value]);
+    }
+    return pairs;
+}
+
+const firstValue = (pairs, keys) => {
+    for (const key of keys) {
+        const found = pairs.find(([k]) => k === key);
+        if (found) return found[1];
+    }
+    return null;
+};
+
+export function genericParser(text) {
+    const pairs = keyValues(text);
+    const available = AVAILABLE_PATTERNS.some((re) => re.test(text)) && !firstValue(pairs, EXPIRY_KEYS);
+    const statuses = pairs
+        .filter(([k]) => STATUS_KEYS.includes(k))
+        .map(([, v]) => toEppStatus(v))
+        .filter(Boolean);
+    return {
+        available,
+        expiryDate: toDay(parseWhoisDate(firstValue(pairs, EXPIRY_KEYS))),
+        creationDate: toDay(parseWhoisDate(firstValue(pairs, CREATION_KEYS))),
+        updatedDate: toDay(parseWhoisDate(firstValue(pairs, UPDATED_KEYS))),
+        registrar: firstValue(pairs, REGISTRAR_KEYS),
+        statuses: [...new Set(statuses)],
+    };
+}
+
+function nominetParser(text) {
+    const parsed = genericParser(text);
+    // Nominet puts the tag after the registrar name and a sentence in the status block.
+    if (parsed.registrar) parsed.registrar = parsed.registrar.replace(/\s*\[Tag = [^\]]+\]/, '');
+    const status = text.match(/Registration status:\s*\n\s*(.+)/i);
+    if (status) parsed.statuses = [status[1].trim()];
+    return parsed;
+}
+
+function denicParser(text) {
+    const parsed = genericParser(text);
+    parsed.available = /^status:\s*free/im.test(text);
+    parsed.creationDate = parsed.creationDate || toDay(parseWhoisDate(text.match(/^changed:\s*(.+)$/im)?.[1]));
+    return parsed;
+}
+
+const parsers = new Map();
+
+export function registerParser(suffixes, parser) {
+    for (const suffix of [].concat(suffixes)) parsers.set(suffix.toLowerCase(), parser);
+}
+
+export function getParser(suffix) {
+    const labels = (suffix || '').toLowerCase().split('.');
+    for (let i = 0; i < labels.length; i++) {
+        const parser = parsers.get(labels.slice(i).join('.'));
+        if (parser) return parser;
+    }
+    return genericParser;
+}
+
+export function parseWhois(text, suffix) {
+    return getParser(suffix)(text || '');
+}
+
+registerParser('uk', nominetParser);
+registerParser('de', denicParser);
@@ -0,0 +1,48 @@
+import net from 'node:net';
+
+const IANA_WHOIS = 'whois.iana.org';
+
+function query(host, q, timeout) {
+    return new Promise((resolve, reject) => {
+        const [hostname, port = 43] = host.split(':');
+        const socket = net.connect({ host: hostname, port: Number(port) });
+        const chunks = [];
+        socket.setTimeout(timeout);
+        socket.on('connect', () => socket.write(`${q}\r\n`));
+        socket.on('data', (chunk) => chunks.push(chunk));
+        socket.on('timeout', () => socket.destroy(new Error(`WHOIS query to ${host} timed out`)));
+        socket.on('error', reject);
+        socket.on('close', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    });
+}
+
+const parseServerOverrides = (value) => Object.fromEntries(
+    (value || '').split(',').map((pair) => pair.split('=').map((s) => s.trim())).filter(([tld, host]) => tld && host)
+);
+
+export function createPort43Provider({
+    servers = parseServerOverrides(process.env.WHOIS_SERVERS),
+    timeout = 10000,
+} = {}) {
+    const serverCache = new Map(Object.entries(servers));
+
+    async function serverFor(tld) {
+        if (serverCache.has(tld)) return serverCache.get(tld);
+        const iana = await query(IANA_WHOIS, tld, timeout);
+        const server = iana.match(/^(?:refer|whois):\s*(\S+)/im)?.[1] || null;
+        serverCache.set(tld, server);
+        return server;
+    }
+
+    return {
+        name: 'port43',
+        isConfigured: () => true,
+        async lookup(domain) {
+            const server = await serverFor(domain.split('.').pop().toLowerCase());
+            if (!server) return null;
+            // Verisign's registries return summaries for partial matches unless asked for the exact domain.
+            const q = /verisign-grs\.com$/i.test(server) ? `domain ${domain}` : domain;
+            return { text: await query(server, q, timeout) };
+        },
+    };
+}
@@ -0,0 +1,71 @@
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import got from 'got';
+import { toEppStatus } from './parsers.js';
+
+const DEFAULT_BOOTSTRAP_FILE = fileURLToPath(new URL('../../data/rdap-dns.json', import.meta.url));
+
+const toDay = (value) => {
+    const date = value ? new Date(value) : null;
+    return date && !isNaN(date) ? date.toISOString().split('T')[0] : null;
+};
+
+function registrarName(entities = []) {
+    const registrar = entities.find((e) => e.roles?.includes('registrar'));
+    const fn = registrar?.vcardArray?.[1]?.find((entry) => entry[0] === 'fn');
+    return fn?.[3] || registrar?.handle || null;
+}
+
+export function parseRdapDomain(data) {
+    const event = (action) => data.events?.find((e) => e.eventAction === action)?.eventDate;
+    return {
+        available: false,
+        expiryDate: toDay(event('expiration')),
+        creationDate: toDay(event('registration')),
+        updatedDate: toDay(event('last changed')),
+        registrar: registrarName(data.entities),
+        statuses: (data.status || []).map(toEppStatus),
+    };
+}
+
+const isRegistryAnswer = (res, base) => res.url.startsWith(base) && /json/i.test(res.headers['content-type'] || '');
+
+export function createRdapProvider({
+    bootstrapFile = process.env.RDAP_BOOTSTRAP_FILE || DEFAULT_BOOTSTRAP_FILE,
+    timeout = 15000,
+} = {}) {
+    let servicesPromise = null;
+
+    const loadServices = () => (servicesPromise ??= readFile(bootstrapFile, 'utf8').then((raw) => {
+        const services = new Map();
+        for (const [tlds, urls] of JSON.parse(raw).services || []) {
+            const base = urls.find((u) => u.startsWith('https://')) || urls[0];
+            for (const tld of tlds) services.set(tld.toLowerCase(), base.endsWith('/') ? base : `${base}/`);
+        }
+        return services;
+    }));
+
+    return {
+        name: 'rdap',
+        isConfigured: () => true,
+        async baseUrlFor(domain) {
+            const services = await loadServices();
+            return services.get(domain.split('.').pop().toLowerCase()) || null;
+        },
+        async lookup(domain) {
+            const base = await this.baseUrlFor(domain);
+            if (!base) return null;
+            const res = await got(`${base}domain/${domain}`, {
+                timeout: { request: timeout },
+                throwHttpErrors: false,
+                headers: { accept: 'application/rdap+json' },
+            });
+            // Only the registry the bootstrap names for the TLD can say a name is
+            // unregistered; a 404 after a redirect elsewhere, or an HTML error
+            // page, says nothing, so the next provider is asked instead.
+            if (res.statusCode === 404) return isRegistryAnswer(res, base) ? { available: true } : null;
+            if (res.statusCode >= 400) throw new Error(`RDAP server responded ${res.statusCode}`);
+            return { parsed: parseRdapDomain(JSON.parse(res.body)) };
+        },
+    };
+}
@@ -0,0 +1,30 @@
+import got from 'got';
+
+const htmlToText = (html) => html
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&');
+
+export function createWhmcsProvider({
+    url = process.env.WHMCS_API_URL,
+    identifier = process.env.WHMCS_API_IDENTIFIER,
+    secret = process.env.WHMCS_API_SECRET,
+    timeout = 15000,
+} = {}) {
+    return {
+        name: 'whmcs',
+        isConfigured: () => Boolean(url && identifier && secret),
+        async lookup(domain) {
+            const response = await got.post(url, {
+                form: { identifier, secret, action: 'DomainWhois', domain, responsetype: 'json' },
+                timeout: { request: timeout },
+            }).json();
+
+            if (response.result === 'error') throw new Error(response.message || 'API Error');
+            if (response.status === 'available') return { available: true };
+            if (!response.whois) return null;
+            return { text: htmlToText(response.whois) };
+        },
+    };
+}
@@ -1,194 +1,470 @@
 import { URL } from 'node:url';
-import { promises as dns } from 'node:dns';
 import * as punycode from 'node:punycode';
 import PQueue from 'p-queue';
 import got from 'got';
 import * as cheerio from 'cheerio';
 import RobotsParser from 'robots-txt-parser';
 import { EventEmitter } from 'node:events';
+import { createDnsChecker, describeDnsClass } from './dns.js';
+import { createWhoisClient } from './whois/index.js';
+import { parseHostname } from './psl.js';
+import { discoverSitemapUrls } from './sitemap.js';
+import { createPolitenessController, isBackoffStatus, DEFAULT_PROFILE } from './politeness.js';
+import { createFrontier, FRONTIER_STATE } from './frontier.js';
+import { createUrlPolicy } from './urlrules.js';
+import { createScope } from './scope.js';
+import { DEFAULT_TRIAGE_STATUS } from './results.js';
+import { extractReferences, mailtoHost, riskOf, FOLLOW_TYPES, REFERENCE_TYPES } from './references.js';
 
 export const bus = new EventEmitter();
 
-const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+let dnsChecker = null;
+const getDnsChecker = () => (dnsChecker ??= createDnsChecker());
+let whoisClient = null;
+const getWhoisClient = () => (whoisClient ??= createWhoisClient());
+// robots.txt groups addressed to this agent win over the '*' group.
+const ROBOTS_AGENT = 'ExpiredBot';
 
-const normalizeUrl = (base, href) => {
-  try {
-    return new URL(href, base).toString();
-  } catch {
-    return null;
-  }
-};
+const FINDING_FIELDS = [
+    'tld', 'status', 'code', 'expiryDate', 'creationDate', 'registrar', 'available', 'lifecycleStage', 'estimatedDropDate',
+];
+const pickFinding = (doc) => Object.fromEntries(FINDING_FIELDS.map((field) => [field, doc[field] ?? null]));
 
-async function getWhoisData(domain) {
-    const { WHMCS_API_URL, WHMCS_API_IDENTIFIER, WHMCS_API_SECRET } = process.env;
-
-    if (!WHMCS_API_URL || !WHMCS_API_IDENTIFIER || !WHMCS_API_SECRET) {
-        return { expiryDate: null, reason: "WHMCS credentials missing" };
-    }
-
-    const postData = {
-        identifier: WHMCS_API_IDENTIFIER,
-        secret: WHMCS_API_SECRET,
-        action: 'DomainWhois',
-        domain: domain,
-        responsetype: 'json',
-    };
+// `run` ties what this check found to the scan run, so later runs can be
+// compared with it.
+async function checkDomain({ domain, suffix, hosts }, events, resultsCollection, website, run = null) {
+    const asciiDomain = domain.includes('xn--') ? domain : punycode.toASCII(domain);
+    const dnsResult = await getDnsChecker().classify(asciiDomain);
 
-    try {
-        const response = await got.post(WHMCS_API_URL, { form: postData }).json();
+    const result = describeDnsClass(dnsResult.dnsClass);
 
-        if (response.result === 'error') {
-            return { expiryDate: null, reason: response.message || "API Error" };
-        }
-        if (response.status === 'available') {
-            return { expiryDate: null, reason: "Available for registration" };
-        }
-        if (response.whois) {
-            const expiryMatch = response.whois.match(/Registry Expiry Date:\s*(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}Z)/i);
-            if (expiryMatch && expiryMatch[1]) {
-                const dateStr = expiryMatch[1].trim();
-                const date = new Date(dateStr);
-                if (!isNaN(date)) {
-                    return { expiryDate: date.toISOString().split('T')[0], reason: null };
-                }
-            }
-            return { expiryDate: null, reason: "WHOIS lookup not supported for this TLD" };
+    if (resultsCollection && result.status === 'no-dns') {
+        const whois = await getWhoisClient().lookup(asciiDomain, { suffix });
+        const doc = {
+            website, domain: asciiDomain, tld: suffix, status: result.status, code: result.code, dnsClass: result.dnsClass,
+            nameservers: dnsResult.nameservers, dnsErrorCode: dnsResult.errorCode,
+            expiryDate: whois.expiryDate, expiryDateReason: whois.reason, creationDate: whois.creationDate,
+            updatedDate: whois.updatedDate, registrar: whois.registrar, domainStatus: whois.statuses, available: whois.available,
+            lifecycleStage: whois.lifecycleStage, lifecycleRank: whois.lifecycleRank, estimatedDropDate: whois.estimatedDropDate,
+            whoisProvider: whois.provider, foundAt: new Date()
+        };
+        await resultsCollection.updateOne(
+            { website, domain: asciiDomain },
+            {
+                $set: { ...doc, ...(run && { lastRunId: run.scanId }) },
+                $addToSet: { subdomains: { $each: [...hosts] }, ...(run && { runIds: run.scanId }) },
+                // Triage fields belong to the user; a rescan must never reset them.
+                $setOnInsert: { triageStatus: DEFAULT_TRIAGE_STATUS, tags: [], notes: '' },
+            },
+            { upsert: true }
+        );
+        if (run?.findingsCollection) {
+            await run.findingsCollection.updateOne(
+                { scanId: run.scanId, domain: asciiDomain },
+                {
+                    $set: { website, ...pickFinding(doc), checkedAt: doc.foundAt },
+                    $setOnInsert: { foundAt: doc.foundAt },
+                },
+                { upsert: true }
+            );
         }
-    } catch (error) {
-        console.error(`WHMCS API call failed for ${domain}:`, error.message);
-        return { expiryDate: null, reason: "API call failed" };
     }
-    return { expiryDate: null, reason: "Unknown reason" };
+    return result;
 }
 
-async function dnsHasAddresses(domain) {
-  try {
-    const addrs = await dns.lookup(domain, { all: true, verbatim: false });
-    if (Array.isArray(addrs) && addrs.length > 0) return { hasDns: true, nxDomain: false };
-  } catch (e) {}
-  return { hasDns: false, nxDomain: false }; // Simplified for brevity
+// Used when the crawler runs outside the pool: fetches and checks are only
+// bounded by the scan's own concurrency.
+const UNLIMITED = { run: (kind, fn) => fn() };
+
+const REL_FLAGS = ['nofollow', 'sponsored', 'ugc'];
+
+function describeLink($, ref, sourceUrl, targetUrl, hostname) {
+    const rel = ($(ref.el).attr('rel') || '').toLowerCase().split(/\s+/).filter(Boolean);
+    return { sourceUrl, targetUrl, host: hostname, type: ref.type, anchorText: ref.text, rel: rel.filter((r) => REL_FLAGS.includes(r)) };
 }
 
-async function checkDomain(domain, events, resultsCollection, website) {
-    const asciiDomain = domain.includes('xn--') ? domain : punycode.toASCII(domain);
-    const dnsResult = await dnsHasAddresses(asciiDomain);
-  
-    let result = { status: 'ok' };
-    if (!dnsResult.hasDns && dnsResult.nxDomain) {
-      result = { status: 'no-dns', code: 'NXDOMAIN' };
+// Records where a dead domain is referenced from and rolls the reference
+// types and page count up onto its result, flagging it when a script or
+// iframe points there. The domain index sorts on those rolled-up fields.
+async function recordLinkSources({ sourcesCollection, resultsCollection }, website, domain, links) {
+    if (!links.length) return;
+    const now = new Date();
+    if (sourcesCollection) {
+        await sourcesCollection.bulkWrite(links.map((link) => ({
+            updateOne: {
+                filter: { website, domain, sourceUrl: link.sourceUrl, targetUrl: link.targetUrl },
+                update: {
+                    $set: { host: link.host, anchorText: link.anchorText, rel: link.rel, lastSeenAt: now },
+                    $addToSet: { types: link.type },
+                    $setOnInsert: { firstSeenAt: now },
+                },
+                upsert: true,
+            },
+        })), { ordered: false });
     }
-  
-    if (resultsCollection && result.status === 'no-dns') {
-        const tld = asciiDomain.split('.').pop();
-        const whois = await getWhoisData(asciiDomain);
-        const doc = {
-            website, domain: asciiDomain, tld, status: result.status, code: result.code,
-            expiryDate: whois.expiryDate, expiryDateReason: whois.reason, foundAt: new Date()
-        };
-        await resultsCollection.updateOne({ website, domain: asciiDomain }, { $set: doc }, { upsert: true });
+    if (resultsCollection) {
+        const types = [...new Set(links.map((link) => link.type))];
+        const set = riskOf(types) === 'high' ? { risk: 'high' } : {};
+        if (sourcesCollection) set.referringPages = (await sourcesCollection.distinct('sourceUrl', { website, domain })).length;
+        await resultsCollection.updateOne({ website, domain }, {
+            $addToSet: { referenceTypes: { $each: types } },
+            $min: { firstSeenAt: now },
+            $max: { lastSeenAt: now },
+            ...(Object.keys(set).length && { $set: set }),
+        });
     }
-    return result;
 }
 
 export function createCrawler({
-    startUrl, maxPages: batchSize = 1000, concurrency = 5, mode, isAggressive = true,
-    events, scansCollection, resultsCollection
+    scanId, startUrl, maxPages: batchSize = 1000, concurrency = 5, mode, politeness: profile = DEFAULT_PROFILE, seedSitemaps = true,
+    events, scansCollection, resultsCollection, sourcesCollection, frontierCollection, findingsCollection, limiter = UNLIMITED,
+    checkpointIntervalMs = Number(process.env.CHECKPOINT_INTERVAL_MS) || 5000
 }) {
     const origin = new URL(startUrl).origin;
+    const originHost = new URL(startUrl).host;
     const website = new URL(startUrl).hostname;
+    const websiteDomain = parseHostname(website)?.domain || website;
+    const collections = { sourcesCollection, resultsCollection };
+    const run = { scanId, findingsCollection };
+    const politeness = createPolitenessController({ profile });
+    const retryCounts = new Map();
     let visitedThisBatch = new Set();
     let foundOutbound = new Map();
-    const robots = RobotsParser({ robotsUrl: new URL('/robots.txt', origin).toString(), allowOnNeutral: true });
+    const robots = RobotsParser({ robotsUrl: new URL('/robots.txt', origin).toString(), userAgent: ROBOTS_AGENT, allowOnNeutral: true });
+    // The parser only tracks one active robots.txt at a time, so wider scopes
+    // get one parser per origin to keep concurrent checks from mixing them up.
+    const robotsByOrigin = new Map([[origin, robots]]);
+    const robotsFor = (url) => {
+        const key = new URL(url).origin;
+        if (!robotsByOrigin.has(key)) robotsByOrigin.set(key, RobotsParser({ userAgent: ROBOTS_AGENT, allowOnNeutral: true }));
+        return robotsByOrigin.get(key);
+    };
     const queue = new PQueue({ concurrency });
+    // Domain checks get their own queue so dropping queued pages (time budget,
+    // stop) never drops a check for a domain an already-visited page found.
+    const checks = new PQueue({ concurrency });
     let statsTimer = null;
+    let checkpointTimer = null;
+    let stopped = false;
+    let frontier = null;
+    let urlPolicy = createUrlPolicy();
+    let siteScope = createScope(startUrl);
+    let startPage = null;
+    let timedOut = false;
 
     function startStats(scanState) {
         if (statsTimer) return;
         let lastVisited = 0;
         let lastTime = Date.now();
-        statsTimer = setInterval(() => {
+        statsTimer = setInterval(async () => {
             const now = Date.now();
             const dv = visitedThisBatch.size - lastVisited;
             const dt = (now - lastTime) / 1000;
             const crawlRate = dt > 0 ? dv / dt : 0;
             lastVisited = visitedThisBatch.size;
             lastTime = now;
-            const totalVisited = (scanState.visited?.length || 0) + visitedThisBatch.size;
+            // The checkpoint refreshes the counts; in between the last ones are reused.
+            const counts = await frontier.counts({ maxAgeMs: checkpointIntervalMs }).catch(() => null);
+            if (!counts || !statsTimer) return;
             events.emit('progress', {
-                type: 'stats', visited: totalVisited, inQueue: queue.size + scanState.queue.size,
+                type: 'stats', visited: counts.visitedCount, inQueue: counts.queueCount,
                 checkedDomains: scanState.checkedDomains || 0, crawlRate,
+                politeness: politeness.profileName, effectiveDelay: politeness.currentDelay(originHost),
             });
         }, 1000);
     }
 
-    async function crawl(url, scanState) {
-        if (visitedThisBatch.size >= batchSize || scanState.visited.has(url) || visitedThisBatch.has(url)) return;
+    // Page state is written to the frontier as each URL finishes; the checkpoint
+    // keeps the scan's counters and heartbeat current so a crash loses little
+    // and the API can tell a live batch from an orphaned one.
+    async function checkpoint(scanState) {
+        const counts = await frontier.counts();
+        await scansCollection.updateOne({ _id: scanState._id }, {
+            $set: {
+                checkedDomains: scanState.checkedDomains || 0, visitedCount: counts.visitedCount,
+                queueCount: counts.queueCount, heartbeatAt: new Date(), checkpointAt: new Date(),
+            },
+        });
+    }
+
+    function startCheckpoints(scanState) {
+        if (checkpointTimer) return;
+        checkpointTimer = setInterval(() => {
+            checkpoint(scanState).catch((err) => console.error(`Checkpoint failed for ${website}:`, err.message));
+        }, checkpointIntervalMs);
+    }
+
+    function stopTimers() {
+        if (statsTimer) clearInterval(statsTimer);
+        if (checkpointTimer) clearInterval(checkpointTimer);
+        statsTimer = null;
+        checkpointTimer = null;
+    }
+
+    // Each origin's robots.txt is read once, when its first page is about to
+    // be fetched, and its Crawl-delay applied to that host from then on.
+    const robotsDirectives = new Map();
+    function loadRobots(url) {
+        const { origin: key, host } = new URL(url);
+        if (!robotsDirectives.has(key)) {
+            const parser = robotsFor(url);
+            robotsDirectives.set(key, parser.useRobotsFor(key)
+                .then(async () => ({ sitemaps: await parser.getSitemaps(), crawlDelay: await parser.getCrawlDelay() }))
+                .catch(() => ({ sitemaps: [], crawlDelay: 0 }))
+                .then((directives) => {
+                    politeness.setCrawlDelay(host, directives.crawlDelay);
+                    return directives;
+                }));
+        }
+        return robotsDirectives.get(key);
+    }
+
+    async function seedFromSitemaps(sitemaps) {
+        const { urls } = await discoverSitemapUrls({
+            origin, sitemaps, accept: (u) => siteScope.isInternal(u), politeness, limiter,
+        });
+        const pages = new Set(urls.map((u) => urlPolicy.canonicalize(u)).filter((u) => u && isCrawlable(u, 1)));
+        return frontier.add([...pages], { depth: 1, discoveredFrom: 'sitemap' });
+    }
+
+    // Scans saved before the frontier collection existed kept their queue and
+    // visited lists inline; move them across once and drop the arrays.
+    async function migrateInlineFrontier(scanDoc) {
+        if (!Array.isArray(scanDoc.queue) && !Array.isArray(scanDoc.visited)) return;
+        await frontier.add(scanDoc.visited || [], { discoveredFrom: 'migration' });
+        if (scanDoc.visited?.length) {
+            await frontierCollection.updateMany(
+                { scanId: scanDoc._id, url: { $in: scanDoc.visited } },
+                { $set: { state: FRONTIER_STATE.VISITED } }
+            );
+        }
+        // Their depth was never stored; every queued page was linked from
+        // another one, so it is at least 1 and still goes through the scope check.
+        await frontier.add(scanDoc.queue || [], { depth: 1, discoveredFrom: 'migration' });
+        await scansCollection.updateOne({ _id: scanDoc._id }, { $unset: { queue: '', visited: '' } });
+    }
+
+    // Fetches a page through the politeness controller. Returns null when the
+    // server asked us to back off and the URL has been re-queued instead.
+    async function politeFetch(url, depth) {
+        const host = new URL(url).host;
+        await politeness.wait(host);
+        const started = Date.now();
+        try {
+            // got's own retries would skip the backoff; a failed fetch is re-queued below instead.
+            const res = await limiter.run('fetch', () =>
+                got(url, { timeout: { request: 10000 }, followRedirect: true, retry: { limit: 0 } })
+            );
+            politeness.recordResponse(host, { statusCode: res.statusCode, durationMs: Date.now() - started });
+            return res;
+        } catch (err) {
+            const statusCode = err.response?.statusCode;
+            politeness.recordResponse(host, {
+                statusCode, durationMs: Date.now() - started, retryAfter: err.response?.headers['retry-after'],
+            });
+            const attempts = (retryCounts.get(url) || 0) + 1;
+            retryCounts.set(url, attempts);
+            if (!isBackoffStatus(statusCode) || !politeness.shouldRetry(attempts)) throw err;
+
+            visitedThisBatch.delete(url);
+            await frontier.requeue(url);
+            events.emit('progress', {
+                type: 'page', stage: 'retry-scheduled', url, depth, statusCode, attempt: attempts,
+                effectiveDelay: politeness.currentDelay(host),
+            });
+            return null;
+        }
+    }
+
+    // URLs queued before the scan's rules changed are re-checked on the way out.
+    async function screenClaimed(entry) {
+        const canonical = urlPolicy.canonicalize(entry.url);
+        if (canonical && canonical !== entry.url) {
+            await frontier.add([canonical], { depth: entry.depth, discoveredFrom: entry.discoveredFrom });
+            await frontier.markSkipped(entry.url, `duplicate of ${canonical}`);
+            return false;
+        }
+        // The start URL is always fetched, even when it sits outside the path prefix.
+        const verdicts = [urlPolicy.check(entry.url), entry.url === startPage ? { allowed: true } : siteScope.check(entry.url, entry.depth)];
+        const refused = verdicts.find((verdict) => !verdict.allowed);
+        if (refused) await frontier.markSkipped(entry.url, refused.reason);
+        return !refused;
+    }
+
+    const isCrawlable = (url, depth) => urlPolicy.check(url).allowed && siteScope.check(url, depth).allowed;
+
+    // A page that declares a different same-site canonical URL stands in for
+    // it, so a canonical copy not seen yet is recorded as visited rather than
+    // fetched again. One already queued is still crawled for its own links.
+    async function recordCanonical($, url, depth, statusCode) {
+        if (!urlPolicy.rules.honorCanonical) return;
+        const canonical = urlPolicy.canonicalize($('link[rel~="canonical"]').attr('href') || '', url);
+        if (!canonical || canonical === url || !siteScope.isInternal(new URL(canonical))) return;
+        await frontier.addVisited(canonical, { depth, discoveredFrom: url, statusCode, canonicalOf: url });
+    }
+
+    // Works out where a reference points. mailto: addresses only carry a host;
+    // everything else is canonicalized like any other URL.
+    function resolveReference(ref, pageUrl) {
+        if (ref.type === REFERENCE_TYPES.MAILTO) {
+            const hostname = mailtoHost(ref.href);
+            if (!hostname) return null;
+            return { url: ref.href, hostname, internal: parseHostname(hostname)?.domain === websiteDomain };
+        }
+        const url = urlPolicy.canonicalize(ref.href, pageUrl);
+        if (!url) return null;
+        const u = new URL(url);
+        return { url, hostname: u.hostname, internal: siteScope.isInternal(u) };
+    }
+
+    async function crawl(entry, scanState) {
+        const { url } = entry;
+        if (!(await screenClaimed(entry))) return;
+        if (visitedThisBatch.size >= batchSize || visitedThisBatch.has(url)) {
+            await frontier.requeue(url);
+            return;
+        }
         visitedThisBatch.add(url);
-        events.emit('progress', { type: 'page', stage: 'enqueue', url, visited: (scanState.visited?.size || 0) + visitedThisBatch.size });
+        events.emit('progress', { type: 'page', stage: 'enqueue', url, depth: entry.depth, visited: visitedThisBatch.size });
         try {
-            if (!(await robots.canCrawl(url, 'ExpiredBot'))) return;
-            const delay = isAggressive ? 250 : 1500;
-            await sleep(delay);
-            const res = await got(url, { timeout: { request: 10000 }, followRedirect: true });
+            await loadRobots(url);
+            if (!(await robotsFor(url).canCrawl(url, ROBOTS_AGENT))) {
+                await frontier.markSkipped(url, 'robots.txt');
+                return;
+            }
+            const res = await politeFetch(url, entry.depth);
+            if (!res) return;
             const $ = cheerio.load(res.body);
-            for (const el of $('a[href]')) {
-                const href = $(el).attr('href');
-                const abs = normalizeUrl(url, href);
-                if (!abs) continue;
-                const u = new URL(abs);
-                if (u.origin === origin) {
-                    if (!scanState.visited.has(abs) && !visitedThisBatch.has(abs)) {
-                        scanState.queue.add(abs);
-                    }
+            const internal = new Set();
+            const childDepth = (entry.depth || 0) + 1;
+            for (const ref of extractReferences($)) {
+                const target = resolveReference(ref, url);
+                if (!target) continue;
+                if (target.internal) {
+                    if (FOLLOW_TYPES.includes(ref.type) && isCrawlable(target.url, childDepth)) internal.add(target.url);
                 } else {
-                    const domain = u.hostname;
-                    if (!foundOutbound.has(domain)) {
-                        foundOutbound.set(domain, true);
-                        queue.add(async () => {
-                            const result = await checkDomain(domain, events, resultsCollection, website);
+                    const parsed = parseHostname(target.hostname);
+                    if (!parsed) continue;
+                    const { domain, suffix, hostname } = parsed;
+                    const link = describeLink($, ref, url, target.url, hostname);
+                    const known = foundOutbound.get(domain);
+                    if (!known) {
+                        // Links are buffered until we know the domain is dead; live domains are not recorded.
+                        const entry = { hosts: new Set([hostname]), result: null, pendingLinks: [link] };
+                        foundOutbound.set(domain, entry);
+                        checks.add(async () => {
+                            const result = await limiter.run('check', () =>
+                                checkDomain({ domain, suffix, hosts: entry.hosts }, events, resultsCollection, website, run)
+                            );
+                            entry.result = result;
+                            if (result.status === 'no-dns') {
+                                await recordLinkSources(collections, website, domain, entry.pendingLinks);
+                            }
+                            entry.pendingLinks = null;
                             scanState.checkedDomains = (scanState.checkedDomains || 0) + 1;
-                            events.emit('progress', { type: 'domain', stage: 'check-done', domain, result });
+                            events.emit('progress', { type: 'domain', stage: 'check-done', domain, suffix, hosts: [...entry.hosts], result });
                         });
+                    } else {
+                        if (!known.result) {
+                            known.pendingLinks.push(link);
+                        } else if (known.result.status === 'no-dns') {
+                            await recordLinkSources(collections, website, domain, [link]);
+                        }
+                        if (!known.hosts.has(hostname)) {
+                            known.hosts.add(hostname);
+                            if (known.result?.status === 'no-dns' && resultsCollection) {
+                                await resultsCollection.updateOne({ website, domain }, { $addToSet: { subdomains: hostname } });
+                            }
+                        }
                     }
                 }
             }
+            await frontier.add([...internal], { depth: childDepth, discoveredFrom: url });
+            await frontier.markVisited(url, res.statusCode);
+            await recordCanonical($, url, entry.depth, res.statusCode);
         } catch (err) {
-            events.emit('progress', { type: 'page', stage: 'fetch-error', url, error: err.message });
+            await frontier.markFailed(url, err.message).catch(() => {});
+            events.emit('progress', { type: 'page', stage: 'fetch-error', url, depth: entry.depth, error: err.message });
         }
     }
 
-    return {
-        async start() {
-            let scanStateDoc = await scansCollection.findOne({ website });
-            if (!scanStateDoc || mode === 'new') {
-                if(scanStateDoc) await scansCollection.deleteOne({ website });
-                scanStateDoc = { website, startUrl, status: 'running', queue: [startUrl], visited: [], checkedDomains: 0, createdAt: new Date() };
+    async function runBatch() {
+        const scanStateDoc = await scansCollection.findOne({ _id: scanId });
+        if (!scanStateDoc) throw new Error(`Scan ${scanId} not found`);
+        const scanState = { ...scanStateDoc };
+        frontier = createFrontier({ frontierCollection, scanId: scanStateDoc._id });
+        urlPolicy = createUrlPolicy(scanStateDoc.urlRules);
+        siteScope = createScope(scanStateDoc.startUrl || startUrl, scanStateDoc.scope);
+        startPage = urlPolicy.canonicalize(scanStateDoc.startUrl || startUrl);
+        const deadline = scanStateDoc.timeBudgetMinutes ? Date.now() + scanStateDoc.timeBudgetMinutes * 60 * 1000 : Infinity;
+        await migrateInlineFrontier(scanStateDoc);
+        await frontier.releaseInProgress();
+        await scansCollection.updateOne({ _id: scanState._id }, { $set: { status: 'running', heartbeatAt: new Date() } });
+        startCheckpoints(scanState);
+        if (await frontier.isEmpty()) {
+            await frontier.add([startPage], { depth: 0 });
+        }
+
+        const directives = await loadRobots(origin);
+        let seeded = 0;
+        if (seedSitemaps && !scanStateDoc.sitemapSeeded) {
+            seeded = await seedFromSitemaps(directives.sitemaps);
+            scanState.sitemapSeeded = true;
+        }
+        startStats(scanState);
+        events.emit('progress', {
+            type: 'start', startUrl, batchSize, concurrency, mode, seeded,
+            politeness: politeness.profileName, crawlDelay: directives.crawlDelay || 0,
+        });
+
+        // Keep the worker queue topped up from the frontier until the batch
+        // budget is spent or nothing is left to crawl.
+        while (!stopped && visitedThisBatch.size < batchSize) {
+            if (Date.now() >= deadline) {
+                // Out of time: let in-flight pages and queued checks finish; claimed pages go back to the frontier.
+                timedOut = true;
+                queue.clear();
+                break;
             }
-            const scanState = { ...scanStateDoc, queue: new Set(scanStateDoc.queue), visited: new Set(scanStateDoc.visited) };
-            startStats(scanState);
-            events.emit('progress', { type: 'start', startUrl, batchSize, concurrency, mode });
-            while (scanState.queue.size > 0 && visitedThisBatch.size < batchSize && !queue.isPaused) {
-                const nextUrl = scanState.queue.values().next().value;
-                scanState.queue.delete(nextUrl);
-                if (!scanState.visited.has(nextUrl) && !visitedThisBatch.has(nextUrl)) {
-                    queue.add(() => crawl(nextUrl, scanState));
-                }
+            const room = Math.min(concurrency * 2, batchSize - visitedThisBatch.size);
+            const entries = await frontier.claim(room);
+            if (!entries.length) {
+                if (queue.size === 0 && queue.pending === 0) break;
+                await queue.onIdle();
+                continue;
             }
-            await queue.onIdle();
-            if (statsTimer) clearInterval(statsTimer);
-            const finalVisited = new Set([...scanState.visited, ...visitedThisBatch]);
-            const finalQueue = new Set([...scanState.queue]);
-            const newStatus = queue.isPaused ? 'paused' : (finalQueue.size === 0 ? 'completed' : 'paused');
-            await scansCollection.updateOne({ website }, {
-                $set: { status: newStatus, queue: Array.from(finalQueue), visited: Array.from(finalVisited), checkedDomains: scanState.checkedDomains || 0, updatedAt: new Date() },
-                $setOnInsert: { createdAt: new Date(), startUrl, website }
-            }, { upsert: true });
-            events.emit('progress', { type: newStatus === 'completed' ? 'done' : 'paused', totalPages: finalVisited.size, domains: scanState.checkedDomains });
+            for (const entry of entries) queue.add(() => crawl(entry, scanState));
+            await queue.onSizeLessThan(concurrency);
+        }
+        await queue.onIdle();
+        await checks.onIdle();
+        stopTimers();
+
+        await frontier.releaseInProgress();
+        const counts = await frontier.counts();
+        const newStatus = stopped ? 'paused' : (counts.queueCount === 0 ? 'completed' : 'paused');
+        await scansCollection.updateOne({ _id: scanStateDoc._id }, {
+            $set: {
+                status: newStatus, visitedCount: counts.visitedCount, queueCount: counts.queueCount, heartbeatAt: null,
+                checkedDomains: scanState.checkedDomains || 0, sitemapSeeded: Boolean(scanState.sitemapSeeded), updatedAt: new Date(),
+                ...(newStatus === 'completed' && { completedAt: new Date() }),
+            },
+        });
+        events.emit('progress', {
+            type: newStatus === 'completed' ? 'done' : 'paused', totalPages: counts.visitedCount, domains: scanState.checkedDomains,
+            ...(timedOut && { reason: 'time-budget' }),
+        });
+    }
+
+    return {
+        start() {
+            return runBatch().finally(stopTimers);
         },
         stop() {
-            if (statsTimer) clearInterval(statsTimer);
+            stopped = true;
+            stopTimers();
             queue.clear();
             queue.pause();
         }
     };
-}
\ No newline at end of file
+}
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCron, nextRun, upcomingRuns, isValidTimeZone } from '../src/cron.js';
+
+const runs = (cron, timeZone, count, after) => upcomingRuns(cron, timeZone, count, new Date(after)).map((time) => time.toISOString());
+
+test('parses ranges, steps, lists and names', () => {
+    const cron = parseCron('*/15 9-17/4 1,15 jan-mar mon-fri');
+    assert.deepEqual(cron.minutes, [0, 15, 30, 45]);
+    assert.deepEqual(cron.hours, [9, 13, 17]);
+    assert.deepEqual([...cron.days], [1, 15]);
+    assert.deepEqual([...cron.months], [1, 2, 3]);
+    assert.deepEqual([...cron.weekdays], [1, 2, 3, 4, 5]);
+    assert.deepEqual(parseCron('5/20 * * * *').minutes, [5, 25, 45]);
+    assert.deepEqual([...parseCron('0 0 * * 7').weekdays], [0]);
+    assert.deepEqual(parseCron('@daily'), parseCron('0 0 * * *'));
+});
+
+test('rejects malformed expressions', () => {
+    for (const expression of ['* * * *', '60 * * * *', '0 5-1 * * *', '0 1-2-3 * * *', '*/0 * * * *', '0 0 * foo *', '0 0 32 * *']) {
+        assert.throws(() => parseCron(expression), Error, expression);
+    }
+});
+
+test('runs strictly after the given time', () => {
+    assert.equal(nextRun('0 12 * * *', 'UTC', new Date('2026-10-19T12:00:00Z')).toISOString(), '2026-10-20T12:00:00.000Z');
+});
+
+test('steps within ranges', () => {
+    assert.deepEqual(runs('*/20 9-10 * * *', 'UTC', 7, '2026-10-19T00:00:00Z'), [
+        '2026-10-19T09:00:00.000Z', '2026-10-19T09:20:00.000Z', '2026-10-19T09:40:00.000Z',
+        '2026-10-19T10:00:00.000Z', '2026-10-19T10:20:00.000Z', '2026-10-19T10:40:00.000Z',
+        '2026-10-20T09:00:00.000Z',
+    ]);
+});
+
+test('a day of month or a day of week runs when both are restricted', () => {
+    // 13 December 2026 is a Sunday.
+    assert.deepEqual(runs('0 12 13 * fri', 'UTC', 4, '2026-12-01T00:00:00Z'), [
+        '2026-12-04T12:00:00.000Z', '2026-12-11T12:00:00.000Z', '2026-12-13T12:00:00.000Z', '2026-12-18T12:00:00.000Z',
+    ]);
+    assert.deepEqual(runs('0 12 13 * *', 'UTC', 2, '2026-12-01T00:00:00Z'), ['2026-12-13T12:00:00.000Z', '2027-01-13T12:00:00.000Z']);
+    assert.deepEqual(runs('0 12 * * fri', 'UTC', 2, '2026-12-12T00:00:00Z'), ['2026-12-18T12:00:00.000Z', '2026-12-25T12:00:00.000Z']);
+});
+
+test('a stepped * day field still has to match alongside the other day field', () => {
+    // Odd days of the month that are also Fridays.
+    assert.deepEqual(runs('0 12 */2 * fri', 'UTC', 4, '2026-12-01T00:00:00Z'), [
+        '2026-12-11T12:00:00.000Z', '2026-12-25T12:00:00.000Z', '2027-01-01T12:00:00.000Z', '2027-01-15T12:00:00.000Z',
+    ]);
+    // Sundays, Tuesdays, Thursdays and Saturdays that fall on the 13th.
+    assert.deepEqual(runs('0 12 13 * */2', 'UTC', 2, '2026-12-01T00:00:00Z'), ['2026-12-13T12:00:00.000Z', '2027-02-13T12:00:00.000Z']);
+});
+
+test('a time skipped by the spring DST change does not run that day', () => {
+    // London moves from 01:00 to 02:00 on 29 March 2026.
+    assert.deepEqual(runs('30 1 * * *', 'Europe/London', 3, '2026-03-27T12:00:00Z'), [
+        '2026-03-28T01:30:00.000Z', '2026-03-30T00:30:00.000Z', '2026-03-31T00:30:00.000Z',
+    ]);
+    // New York moves from 02:00 to 03:00 on 8 March 2026.
+    assert.deepEqual(runs('30 2 * * *', 'America/New_York', 2, '2026-03-07T12:00:00Z'), [
+        '2026-03-09T06:30:00.000Z', '2026-03-10T06:30:00.000Z',
+    ]);
+});
+
+test('a time repeated by the autumn DST change runs once', () => {
+    // London repeats 01:00-02:00 on 25 October 2026.
+    assert.deepEqual(runs('30 1 * * *', 'Europe/London', 3, '2026-10-24T12:00:00Z'), [
+        '2026-10-25T00:30:00.000Z', '2026-10-26T01:30:00.000Z', '2026-10-27T01:30:00.000Z',
+    ]);
+    assert.equal(nextRun('0 9 * * mon', 'Europe/London', new Date('2026-10-19T10:30:00Z')).toISOString(), '2026-10-26T09:00:00.000Z');
+});
+
+test('an expression that never fires has no next run', () => {
+    assert.equal(nextRun('0 0 30 2 *', 'UTC', new Date('2026-10-19T00:00:00Z')), null);
+    assert.deepEqual(upcomingRuns('0 0 30 2 *', 'UTC', 3, new Date('2026-10-19T00:00:00Z')), []);
+});
+
+test('checks time zone names', () => {
+    assert.equal(isValidTimeZone('Europe/London'), true);
+    assert.equal(isValidTimeZone('Mars/Olympus'), false);
+});
@@ -0,0 +1,144 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import dgram from 'node:dgram';
+import { createDnsChecker, describeDnsClass, DNS_CLASS } from '../src/dns.js';
+
+// A tiny authoritative stub on 127.0.0.1 answering from ZONE; a missing
+// answer for a type means NOERROR with no records.
+const TYPES = { 1: 'A', 2: 'NS', 6: 'SOA', 28: 'AAAA' };
+const RCODE = { nxdomain: 3, servfail: 2 };
+const ZONE = {
+    'live.test': { A: ['192.0.2.10'] },
+    'gone.test': 'nxdomain',
+    'broken.test': 'servfail',
+    'slow.test': 'timeout',
+    'parked.test': { NS: ['ns1.parked.test'] },
+    'nodata.test': {},
+};
+
+let server;
+let port;
+const queries = [];
+// Names whose first `n` queries per type answer SERVFAIL before the zone entry.
+const flaky = new Map();
+
+const encodeName = (name) => Buffer.concat([
+    ...name.split('.').map((label) => Buffer.concat([Buffer.from([label.length]), Buffer.from(label)])),
+    Buffer.from([0]),
+]);
+
+function readQuestion(msg) {
+    const labels = [];
+    let offset = 12;
+    while (msg[offset]) {
+        labels.push(msg.subarray(offset + 1, offset + 1 + msg[offset]).toString());
+        offset += msg[offset] + 1;
+    }
+    return { name: labels.join('.').toLowerCase(), type: TYPES[msg.readUInt16BE(offset + 1)], end: offset + 5 };
+}
+
+function answer(type, value) {
+    const rdata = type === 'A' ? Buffer.from(value.split('.').map(Number)) : encodeName(value);
+    const rr = Buffer.alloc(12);
+    rr.writeUInt16BE(0xc00c, 0);
+    rr.writeUInt16BE(Number(Object.keys(TYPES).find((code) => TYPES[code] === type)), 2);
+    rr.writeUInt16BE(1, 4);
+    rr.writeUInt32BE(300, 6);
+    rr.writeUInt16BE(rdata.length, 10);
+    return Buffer.concat([rr, rdata]);
+}
+
+function respond(msg) {
+    const { name, type, end } = readQuestion(msg);
+    queries.push(`${type} ${name}`);
+    let entry = ZONE[name] ?? 'nxdomain';
+    const key = `${type} ${name}`;
+    if (flaky.get(key) > 0) {
+        flaky.set(key, flaky.get(key) - 1);
+        entry = 'servfail';
+    }
+    if (entry === 'timeout') return null;
+    const records = typeof entry === 'object' ? entry[type] || [] : [];
+    const header = Buffer.alloc(12);
+    msg.copy(header, 0, 0, 2);
+    header.writeUInt16BE(0x8400 | (RCODE[entry] || 0), 2);
+    header.writeUInt16BE(1, 4);
+    header.writeUInt16BE(records.length, 6);
+    return Buffer.concat([header, msg.subarray(12, end), ...records.map((value) => answer(type, value))]);
+}
+
+const checker = (options = {}) =>
+    createDnsChecker({ servers: [`127.0.0.1:${port}`], timeout: 150, retries: 2, retryDelay: 10, ...options });
+
+before(async () => {
+    server = dgram.createSocket('udp4');
+    server.on('message', (msg, rinfo) => {
+        const reply = respond(msg);
+        if (reply) server.send(reply, rinfo.port, rinfo.address);
+    });
+    await new Promise((resolve) => server.bind(0, '127.0.0.1', resolve));
+    port = server.address().port;
+});
+
+after(() => server.close());
+
+test('uses the configured resolvers', () => {
+    assert.deepEqual(checker().servers(), [`127.0.0.1:${port}`]);
+});
+
+test('a name that resolves is ok', async () => {
+    const result = await checker().classify('live.test');
+    assert.equal(result.dnsClass, DNS_CLASS.RESOLVES);
+    assert.deepEqual(result.addresses, ['192.0.2.10']);
+    assert.equal(describeDnsClass(result.dnsClass).status, 'ok');
+});
+
+test('NXDOMAIN with no delegation is the only dead class', async () => {
+    const result = await checker().classify('gone.test');
+    assert.equal(result.dnsClass, DNS_CLASS.NXDOMAIN);
+    assert.equal(result.errorCode, 'ENOTFOUND');
+    assert.deepEqual(describeDnsClass(result.dnsClass), { status: 'no-dns', code: 'NXDOMAIN', dnsClass: 'nxdomain' });
+});
+
+test('a delegated name without addresses is still registered', async () => {
+    const result = await checker().classify('parked.test');
+    assert.equal(result.dnsClass, DNS_CLASS.NO_ADDRESS);
+    assert.deepEqual(result.nameservers, ['ns1.parked.test']);
+    assert.deepEqual(describeDnsClass(result.dnsClass), { status: 'dns-unknown', code: 'NO_ADDRESS', dnsClass: 'no-address' });
+});
+
+test('an empty answer without NS records is no-address, not dead', async () => {
+    const result = await checker().classify('nodata.test');
+    assert.equal(result.dnsClass, DNS_CLASS.NO_ADDRESS);
+    assert.equal(describeDnsClass(result.dnsClass).status, 'dns-unknown');
+});
+
+test('SERVFAIL is retried and then reported as unknown', async () => {
+    queries.length = 0;
+    const result = await checker().classify('broken.test');
+    assert.equal(result.dnsClass, DNS_CLASS.SERVFAIL);
+    assert.equal(describeDnsClass(result.dnsClass).status, 'dns-unknown');
+    assert.equal(queries.filter((query) => query === 'A broken.test').length, 3);
+});
+
+test('a timeout is retried and then reported as unknown', async () => {
+    queries.length = 0;
+    const result = await checker({ retries: 1 }).classify('slow.test');
+    assert.equal(result.dnsClass, DNS_CLASS.TIMEOUT);
+    assert.equal(result.errorCode, 'ETIMEOUT');
+    assert.equal(describeDnsClass(result.dnsClass).status, 'dns-unknown');
+    assert.equal(queries.filter((query) => query === 'A slow.test').length, 2);
+});
+
+test('a transient failure that clears on retry resolves', async () => {
+    flaky.set('A live.test', 2);
+    const result = await checker().classify('live.test');
+    assert.equal(result.dnsClass, DNS_CLASS.RESOLVES);
+    assert.equal(flaky.get('A live.test'), 0);
+});
+
+test('NXDOMAIN is final and not retried', async () => {
+    queries.length = 0;
+    await checker().classify('gone.test');
+    assert.equal(queries.filter((query) => query === 'A gone.test').length, 1);
+});
@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Writable } from 'node:stream';
+import { streamResultsExport } from '../src/export.js';
+
+// Stands in for the Express response: collects what is written and only
+// accepts the next chunk once `release()` is called, like a slow client.
+function slowResponse() {
+    const chunks = [];
+    const pending = [];
+    const res = new Writable({
+        highWaterMark: 1024,
+        write(chunk, encoding, callback) {
+            chunks.push(chunk);
+            pending.push(callback);
+        },
+    });
+    res.headers = {};
+    res.setHeader = (name, value) => { res.headers[name] = value; };
+    res.release = () => pending.splice(0).forEach((callback) => callback());
+    res.text = () => Buffer.concat(chunks).toString();
+    return res;
+}
+
+// Hands out documents in batches with a turn of the event loop in between,
+// the way a Mongo cursor fetches them.
+function fakeCursor(docs, batchSize = 100) {
+    const cursor = {
+        pulled: 0,
+        closed: false,
+        async *[Symbol.asyncIterator]() {
+            for (const doc of docs) {
+                if (cursor.pulled % batchSize === 0) await new Promise((resolve) => setImmediate(resolve));
+                cursor.pulled++;
+                yield doc;
+            }
+        },
+        close: async () => { cursor.closed = true; },
+    };
+    return cursor;
+}
+
+const result = (i, extra = {}) => ({
+    _id: `id${i}`, website: 'example.com', domain: `dead-${i}-${Math.random().toString(36).slice(2)}.com`, tld: 'com',
+    status: 'no-dns', foundAt: new Date('2025-01-01T00:00:00Z'), notes: '', ...extra,
+});
+
+const drain = async (res, done) => {
+    while (!done()) {
+        res.release();
+        await new Promise((resolve) => setImmediate(resolve));
+    }
+    res.release();
+};
+
+test('quotes CSV cells that a spreadsheet would run as formulas', async () => {
+    const res = slowResponse();
+    const cursor = fakeCursor([
+        result(1, { notes: '=HYPERLINK("http://evil.test")', tags: ['+1', '@me'], registrar: '-2+3' }),
+        result(2, { notes: 'plain, with comma', score: 42 }),
+    ]);
+    let finished = false;
+    const exporting = streamResultsExport(cursor, 'csv', res).finally(() => { finished = true; });
+    await drain(res, () => finished);
+    await exporting;
+
+    const [, first, second] = res.text().split('\r\n');
+    assert.ok(first.includes(`"'=HYPERLINK(""http://evil.test"")"`));
+    assert.ok(first.includes("'-2+3"));
+    assert.ok(first.includes("'+1 @me"));
+    assert.ok(second.includes('"plain, with comma"'));
+    assert.ok(second.includes(',42,'));
+    assert.equal(res.headers['Content-Type'], 'text/csv; charset=utf-8');
+    assert.ok(cursor.closed);
+});
+
+test('stops reading rows into an XLSX while the client is not keeping up', async () => {
+    const res = slowResponse();
+    const total = 5000;
+    const cursor = fakeCursor(Array.from({ length: total }, (_, i) => result(i)));
+    let finished = false;
+    const exporting = streamResultsExport(cursor, 'xlsx', res).finally(() => { finished = true; });
+
+    // Nothing is acknowledged yet, so reading stops and stays stopped.
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    const stalledAt = cursor.pulled;
+    await new Promise((resolve) => setTimeout(resolve, 300));
+    assert.equal(cursor.pulled, stalledAt, 'kept reading rows while the client was not');
+    assert.ok(stalledAt < total);
+
+    await drain(res, () => finished);
+    await exporting;
+    assert.equal(cursor.pulled, total);
+    assert.equal(res.text().slice(0, 2), 'PK');
+    assert.ok(cursor.closed);
+});
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFrontier, FRONTIER_STATE } from '../src/frontier.js';
+import { createMemoryCollection } from './helpers/memory-collection.js';
+
+const scanId = 'scan-1';
+
+test('a canonical URL nobody has seen yet is recorded as visited', async () => {
+    const frontierCollection = createMemoryCollection();
+    const frontier = createFrontier({ frontierCollection, scanId });
+
+    const added = await frontier.addVisited('https://example.com/a', {
+        depth: 2, discoveredFrom: 'https://example.com/a?ref=1', statusCode: 200, canonicalOf: 'https://example.com/a?ref=1',
+    });
+
+    assert.equal(added, true);
+    const [doc] = frontierCollection.docs;
+    assert.equal(doc.state, FRONTIER_STATE.VISITED);
+    assert.equal(doc.statusCode, 200);
+    assert.equal(doc.depth, 2);
+    assert.equal(doc.canonicalOf, 'https://example.com/a?ref=1');
+});
+
+test('a canonical URL that is queued or being crawled keeps its state', async () => {
+    const frontierCollection = createMemoryCollection();
+    const frontier = createFrontier({ frontierCollection, scanId });
+    for (const [url, state] of [['https://example.com/queued', FRONTIER_STATE.QUEUED], ['https://example.com/busy', FRONTIER_STATE.IN_PROGRESS]]) {
+        await frontierCollection.insertOne({ scanId, url, state, depth: 1 });
+        assert.equal(await frontier.addVisited(url, { statusCode: 200, canonicalOf: 'https://example.com/other' }), false);
+    }
+
+    assert.deepEqual(frontierCollection.docs.map((doc) => doc.state), [FRONTIER_STATE.QUEUED, FRONTIER_STATE.IN_PROGRESS]);
+    assert.ok(frontierCollection.docs.every((doc) => doc.canonicalOf === undefined));
+});
@@ -0,0 +1,120 @@
+import { ObjectId } from 'mongodb';
+
+// Just enough of a Mongo collection, kept in memory, for the job scheduler and
+// the modules built on it: equality (including array membership), dotted
+// paths, $in, $nin, $ne, $lte, $or, and $set / $setOnInsert / $inc / $push.
+
+// Documents are copied on the way in and out, as a real driver would.
+const clone = (value) => {
+    if (value instanceof ObjectId || value === null || typeof value !== 'object') return value;
+    if (value instanceof Date) return new Date(value);
+    if (Array.isArray(value)) return value.map(clone);
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+};
+
+const get = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc);
+
+function set(doc, path, value) {
+    const keys = path.split('.');
+    let target = doc;
+    for (const key of keys.slice(0, -1)) target = target[key] ??= {};
+    target[keys.at(-1)] = value;
+}
+
+const same = (a, b) => {
+    if (a instanceof ObjectId || b instanceof ObjectId) return String(a) === String(b);
+    if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+    return a === b || (b === null && a === undefined);
+};
+
+const equals = (value, expected) => same(value, expected) || (Array.isArray(value) && value.some((item) => same(item, expected)));
+
+const OPERATORS = {
+    $in: (value, list) => list.some((expected) => equals(value, expected)),
+    $nin: (value, list) => !list.some((expected) => equals(value, expected)),
+    $ne: (value, expected) => !equals(value, expected),
+    $lte: (value, limit) => value != null && value <= limit,
+};
+
+function matches(doc, query) {
+    return Object.entries(query).every(([key, condition]) => {
+        if (key === '$or') return condition.some((branch) => matches(doc, branch));
+        const value = get(doc, key);
+        const isOperators = condition && typeof condition === 'object' && Object.keys(condition).some((op) => op.startsWith('$'));
+        if (!isOperators) return equals(value, condition);
+        return Object.entries(condition).every(([op, operand]) => {
+            if (!OPERATORS[op]) throw new Error(`Unsupported query operator ${op}`);
+            return OPERATORS[op](value, operand);
+        });
+    });
+}
+
+function applyUpdate(doc, update, inserting) {
+    for (const [op, fields] of Object.entries(update)) {
+        for (const [path, value] of Object.entries(fields)) {
+            if (op === '$set') set(doc, path, clone(value));
+            else if (op === '$setOnInsert') { if (inserting) set(doc, path, clone(value)); }
+            else if (op === '$inc') set(doc, path, (get(doc, path) || 0) + value);
+            else if (op === '$push') set(doc, path, [...(get(doc, path) || []), clone(value)]);
+            else throw new Error(`Unsupported update operator ${op}`);
+        }
+    }
+}
+
+const byKeys = (sort) => (a, b) => {
+    for (const [key, direction] of Object.entries(sort)) {
+        if (get(a, key) < get(b, key)) return -direction;
+        if (get(a, key) > get(b, key)) return direction;
+    }
+    return 0;
+};
+
+export function createMemoryCollection() {
+    const docs = [];
+    const copy = (doc) => (doc ? clone(doc) : null);
+    const first = (query, sort) => {
+        const found = docs.filter((doc) => matches(doc, query));
+        return sort ? found.sort(byKeys(sort))[0] : found[0];
+    };
+    // Fields of an upsert's filter that become part of the new document.
+    const seed = (query) => Object.fromEntries(Object.entries(query).filter(([key, value]) =>
+        !key.startsWith('$') && !(value && typeof value === 'object' && !(value instanceof ObjectId) && !(value instanceof Date))));
+
+    return {
+        docs,
+        async createIndex() {},
+        find: (query = {}) => ({ toArray: async () => docs.filter((doc) => matches(doc, query)).map(copy) }),
+        findOne: async (query = {}) => copy(first(query)),
+        async insertOne(doc) {
+            const inserted = { _id: new ObjectId(), ...clone(doc) };
+            docs.push(inserted);
+            return { insertedId: inserted._id };
+        },
+        async updateOne(query, update, { upsert = false } = {}) {
+            let doc = first(query);
+            if (!doc && !upsert) return { matchedCount: 0 };
+            const inserting = !doc;
+            if (inserting) docs.push(doc = { _id: new ObjectId(), ...seed(query) });
+            applyUpdate(doc, update, inserting);
+            return { matchedCount: inserting ? 0 : 1, upsertedCount: inserting ? 1 : 0 };
+        },
+        async findOneAndUpdate(query, update, { sort, returnDocument = 'before' } = {}) {
+            const doc = first(query, sort);
+            if (!doc) return null;
+            const before = copy(doc);
+            applyUpdate(doc, update, false);
+            return returnDocument === 'after' ? copy(doc) : before;
+        },
+        async deleteOne(query) {
+            const index = docs.findIndex((doc) => matches(doc, query));
+            if (index >= 0) docs.splice(index, 1);
+            return { deletedCount: index >= 0 ? 1 : 0 };
+        },
+        async deleteMany(query = {}) {
+            const keep = docs.filter((doc) => !matches(doc, query));
+            const deletedCount = docs.length - keep.length;
+            docs.splice(0, docs.length, ...keep);
+            return { deletedCount };
+        },
+    };
+}
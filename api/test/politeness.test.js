@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPolitenessController, parseRetryAfter, POLITENESS_PROFILES, DEFAULT_PROFILE } from '../src/politeness.js';
+
+test('no profile waits less than 250 ms between requests to a host', () => {
+    for (const settings of Object.values(POLITENESS_PROFILES)) assert.ok(settings.baseDelay >= 250);
+    assert.equal(createPolitenessController().currentDelay('example.com'), POLITENESS_PROFILES[DEFAULT_PROFILE].baseDelay);
+});
+
+test('Crawl-delay and slow responses raise the delay', () => {
+    const politeness = createPolitenessController({ profile: 'balanced' });
+    politeness.setCrawlDelay('example.com', 3);
+    assert.equal(politeness.currentDelay('example.com'), 3000);
+    politeness.recordResponse('slow.test', { statusCode: 200, durationMs: 900 });
+    assert.equal(politeness.currentDelay('slow.test'), 900);
+});
+
+test('backs off on 429 and 5xx and recovers on success', () => {
+    const politeness = createPolitenessController({ profile: 'balanced' });
+    politeness.recordResponse('example.com', { statusCode: 429 });
+    politeness.recordResponse('example.com', { statusCode: 503 });
+    assert.equal(politeness.currentDelay('example.com'), 2000);
+    politeness.recordResponse('example.com', { statusCode: 200 });
+    assert.equal(politeness.currentDelay('example.com'), 1000);
+});
+
+test('reads Retry-After as seconds or a date', () => {
+    assert.equal(parseRetryAfter('120'), 120000);
+    assert.equal(parseRetryAfter('Mon, 19 Oct 2026 12:01:00 GMT', Date.parse('2026-10-19T12:00:00Z')), 60000);
+    assert.equal(parseRetryAfter('soon'), 0);
+});
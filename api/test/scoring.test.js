@@ -0,0 +1,14 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseWeights, DEFAULT_WEIGHTS } from '../src/scoring.js';
+
+test('SCORE_WEIGHTS overrides individual factors', () => {
+    assert.deepEqual(parseWeights(''), DEFAULT_WEIGHTS);
+    assert.deepEqual(parseWeights(' age=0, tld = 20 '), { ...DEFAULT_WEIGHTS, age: 0, tld: 20 });
+});
+
+test('SCORE_WEIGHTS rejects unknown factors and bad weights', () => {
+    assert.throws(() => parseWeights('popularity=5'), /Unknown score factor "popularity"/);
+    assert.throws(() => parseWeights('age=-1'), /Weight for age must be a non-negative number/);
+    assert.throws(() => parseWeights('age=lots'), /Weight for age/);
+});
@@ -0,0 +1,141 @@
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { createHmac } from 'node:crypto';
+import { createWebhookDispatcher } from '../src/webhooks.js';
+import { createMemoryCollection } from './helpers/memory-collection.js';
+
+const SECRET = 'a-long-enough-test-secret';
+
+// Local receiver: /ok answers 200, /flaky 500 twice then 200, /down always
+// 503 and /slow 200 after a pause. Every request is recorded with its raw body.
+let server;
+let baseUrl;
+const received = [];
+const flakyFailures = { left: 0 };
+const inFlight = { slow: 0, maxSlow: 0 };
+
+function receive(req, res) {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', async () => {
+        received.push({ path: req.url, headers: req.headers, body, at: Date.now() });
+        if (req.url === '/flaky' && flakyFailures.left-- > 0) res.statusCode = 500;
+        if (req.url === '/down') res.statusCode = 503;
+        if (req.url === '/slow') {
+            inFlight.maxSlow = Math.max(inFlight.maxSlow, ++inFlight.slow);
+            await new Promise((resolve) => setTimeout(resolve, 150));
+            inFlight.slow--;
+        }
+        res.end('thanks');
+    });
+}
+
+before(async () => {
+    server = http.createServer(receive);
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+let dispatcher;
+let collections;
+
+async function setup(paths, options = {}) {
+    received.length = 0;
+    collections = {
+        webhooksCollection: createMemoryCollection(),
+        deliveriesCollection: createMemoryCollection(),
+        jobsCollection: createMemoryCollection(),
+    };
+    const webhooks = [];
+    for (const path of paths) {
+        const webhook = {
+            url: `${baseUrl}${path}`, events: ['scan.completed'], enabled: true, secret: SECRET,
+            filters: { websites: [], tlds: [], minScore: null },
+        };
+        const { insertedId } = await collections.webhooksCollection.insertOne(webhook);
+        webhooks.push({ ...webhook, _id: insertedId });
+    }
+    dispatcher = createWebhookDispatcher({
+        ...collections, timeoutMs: 2000, maxAttempts: 3, retryDelayMs: 20, pollIntervalMs: 10, concurrency: 4, ...options,
+    });
+    await dispatcher.start();
+    return webhooks;
+}
+
+afterEach(() => dispatcher?.stop());
+
+async function until(check, timeoutMs = 3000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!(await check())) {
+        if (Date.now() > deadline) throw new Error('Timed out waiting for deliveries');
+        await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+}
+
+const settled = () => until(() => collections.deliveriesCollection.docs.every((delivery) => delivery.status !== 'pending'));
+
+test('signs the raw body with the subscription secret', async () => {
+    await setup(['/ok']);
+    assert.equal(await dispatcher.publish('scan.completed', { website: 'example.com' }, { website: 'example.com' }), 1);
+    await settled();
+
+    assert.equal(received.length, 1);
+    const [{ headers, body }] = received;
+    const expected = createHmac('sha256', SECRET).update(`${headers['x-webhook-timestamp']}.${body}`).digest('hex');
+    assert.equal(headers['x-webhook-signature'], `sha256=${expected}`);
+    assert.equal(headers['x-webhook-event'], 'scan.completed');
+    assert.deepEqual(JSON.parse(body).data, { website: 'example.com' });
+
+    const [delivery] = collections.deliveriesCollection.docs;
+    assert.equal(headers['x-webhook-delivery'], delivery._id.toString());
+    assert.equal(delivery.status, 'delivered');
+    assert.equal(collections.jobsCollection.docs.length, 0);
+});
+
+test('retries a failing receiver with a fresh signature until it accepts', async () => {
+    flakyFailures.left = 2;
+    await setup(['/flaky']);
+    await dispatcher.publish('scan.completed', { website: 'example.com' });
+    await settled();
+
+    const [delivery] = collections.deliveriesCollection.docs;
+    assert.equal(delivery.status, 'delivered');
+    assert.deepEqual(delivery.attempts.map((attempt) => attempt.statusCode), [500, 500, 200]);
+    assert.equal(received.length, 3);
+    assert.ok(received[2].at - received[1].at >= received[1].at - received[0].at, 'retries back off');
+    for (const { headers, body } of received) {
+        const expected = createHmac('sha256', SECRET).update(`${headers['x-webhook-timestamp']}.${body}`).digest('hex');
+        assert.equal(headers['x-webhook-signature'], `sha256=${expected}`);
+    }
+    assert.equal(collections.jobsCollection.docs.length, 0);
+});
+
+test('gives up after the last attempt and removes the job', async () => {
+    await setup(['/down']);
+    await dispatcher.publish('scan.completed', { website: 'example.com' });
+    await settled();
+
+    const [delivery] = collections.deliveriesCollection.docs;
+    assert.equal(delivery.status, 'failed');
+    assert.equal(delivery.attempts.length, 3);
+    assert.equal(delivery.lastStatusCode, 503);
+    assert.equal(collections.jobsCollection.docs.length, 0);
+});
+
+test('a slow receiver does not hold up other subscriptions', async () => {
+    inFlight.maxSlow = 0;
+    await setup(['/slow', '/ok']);
+    for (let i = 0; i < 3; i++) await dispatcher.publish('scan.completed', { n: i });
+    await settled();
+
+    const slow = received.filter((request) => request.path === '/slow');
+    const fast = received.filter((request) => request.path === '/ok');
+    assert.equal(slow.length, 3);
+    assert.equal(fast.length, 3);
+    assert.ok(fast.at(-1).at < slow.at(-1).at, 'the fast receiver finished first');
+    // One subscription's deliveries go out one at a time.
+    assert.equal(inFlight.maxSlow, 1);
+});
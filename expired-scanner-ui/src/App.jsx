@@ -2,6 +2,10 @@ import { useState } from 'react';
 import Scanner from './Scanner';
 import Results from './Results';
 import Summary from './Summary';
+import Scans from './Scans';
+import Domains from './Domains';
+import Schedules from './Schedules';
+import Campaigns from './Campaigns';
 
 export default function App() {
     const [page, setPage] = useState('scanner');
@@ -26,17 +30,33 @@ export default function App() {
                 <button onClick={() => navigate('scanner')} disabled={page === 'scanner'}>
                     Scanner
                 </button>
+                <button onClick={() => navigate('scans')} disabled={page === 'scans'}>
+                    Scans
+                </button>
+                <button onClick={() => navigate('schedules')} disabled={page === 'schedules'}>
+                    Schedules
+                </button>
+                <button onClick={() => navigate('campaigns')} disabled={page === 'campaigns'}>
+                    Campaigns
+                </button>
                 <button onClick={() => navigate('results')} disabled={page === 'results'}>
                     Results
                 </button>
+                <button onClick={() => navigate('domains')} disabled={page === 'domains'}>
+                    Domains
+                </button>
                 <button onClick={() => navigate('summary')} disabled={page === 'summary'}>
                     Summary
                 </button>
             </nav>
 
             {page === 'scanner' && <Scanner />}
+            {page === 'scans' && <Scans onWebsiteSelect={handleWebsiteSelect} />}
+            {page === 'schedules' && <Schedules />}
+            {page === 'campaigns' && <Campaigns onWebsiteSelect={handleWebsiteSelect} />}
             {/* Pass the selected website down to the Results component */}
             {page === 'results' && <Results initialWebsite={selectedWebsite} />}
+            {page === 'domains' && <Domains onWebsiteSelect={handleWebsiteSelect} />}
             {/* Pass the handler function down to the Summary component */}
             {page === 'summary' && <Summary onWebsiteSelect={handleWebsiteSelect} />}
         </div>
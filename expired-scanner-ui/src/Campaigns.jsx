@@ -0,0 +1,285 @@
+import { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+
+const STATUS_COLORS = {
+    queued: '#777',
+    running: '#16a34a',
+    paused: '#d97706',
+    failed: '#be123c',
+    skipped: '#777',
+    cancelled: '#777',
+    completed: '#2563eb',
+};
+
+const EMPTY_FORM = { name: '', startUrls: '', concurrency: 3, batchSize: 1000, scanConcurrency: 5, politeness: 'balanced' };
+
+const ProgressBar = ({ done, total }) => (
+    <div style={{ background: '#e5e7eb', borderRadius: 4, height: 8, width: 160 }}>
+        <div style={{ background: '#2563eb', borderRadius: 4, height: 8, width: `${total ? (done / total) * 100 : 0}%` }} />
+    </div>
+);
+
+// Bulk scans: a list of websites crawled with shared options, a few at a time.
+export default function Campaigns({ onWebsiteSelect }) {
+    const [campaigns, setCampaigns] = useState([]);
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [file, setFile] = useState(null);
+    const [message, setMessage] = useState('');
+    const [selectedId, setSelectedId] = useState(null);
+    const [campaign, setCampaign] = useState(null);
+    const [results, setResults] = useState({ items: [], total: 0, totalPages: 0 });
+    const [page, setPage] = useState(1);
+
+    const fetchCampaigns = useCallback(async () => {
+        try {
+            const { data } = await axios.get('http://localhost:4000/campaigns');
+            setCampaigns(data);
+        } catch (error) {
+            console.error("Failed to fetch campaigns", error);
+        }
+    }, []);
+
+    const fetchCampaign = useCallback(async () => {
+        if (!selectedId) return;
+        try {
+            const [{ data }, { data: found }] = await Promise.all([
+                axios.get(`http://localhost:4000/campaigns/${selectedId}`),
+                axios.get(`http://localhost:4000/campaigns/${selectedId}/results`, { params: { page, pageSize: 25 } }),
+            ]);
+            setCampaign(data);
+            setResults(found);
+        } catch (error) {
+            console.error("Failed to fetch campaign", error);
+        }
+    }, [selectedId, page]);
+
+    // Poll so site statuses and totals follow the running scans.
+    useEffect(() => {
+        const refresh = () => (selectedId ? fetchCampaign() : fetchCampaigns());
+        refresh();
+        const timer = setInterval(refresh, 5000);
+        return () => clearInterval(timer);
+    }, [selectedId, fetchCampaign, fetchCampaigns]);
+
+    const updateForm = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+    const openCampaign = (id) => {
+        setCampaign(null);
+        setPage(1);
+        setSelectedId(id);
+    };
+
+    const createCampaign = async (e) => {
+        e.preventDefault();
+        setMessage('');
+        const body = {
+            name: form.name,
+            concurrency: Number(form.concurrency),
+            options: { batchSize: Number(form.batchSize), concurrency: Number(form.scanConcurrency), politeness: form.politeness },
+        };
+        // An uploaded file wins over the pasted list.
+        if (file) body.file = await file.text();
+        else body.startUrls = form.startUrls;
+        try {
+            const { data } = await axios.post('http://localhost:4000/campaigns', body);
+            if (data.rejected.length) setMessage(`Ignored ${data.rejected.length} lines without a URL: ${data.rejected.slice(0, 3).join(' | ')}`);
+            setForm(EMPTY_FORM);
+            setFile(null);
+            openCampaign(data.id);
+        } catch (error) {
+            console.error("Failed to create campaign", error);
+            setMessage(`Failed to create campaign: ${error.response?.data?.error || error.message}`);
+        }
+    };
+
+    const cancelCampaign = async () => {
+        if (!window.confirm('Stop starting new scans for this campaign? Scans already running finish their current batch.')) return;
+        try {
+            await axios.post(`http://localhost:4000/campaigns/${selectedId}/cancel`);
+            await fetchCampaign();
+        } catch (error) {
+            console.error("Failed to cancel campaign", error);
+            setMessage(`Failed to cancel campaign: ${error.response?.data?.error || error.message}`);
+        }
+    };
+
+    const renderStatus = (status) => <span style={{ color: STATUS_COLORS[status] || '#333', fontWeight: 'bold' }}>{status}</span>;
+
+    const websiteLink = (website) => (
+        <a
+            href="#"
+            onClick={(e) => {
+                e.preventDefault();
+                onWebsiteSelect(website);
+            }}
+            style={{ color: '#2563eb', textDecoration: 'underline' }}
+        >
+            {website}
+        </a>
+    );
+
+    if (selectedId) {
+        return (
+            <div>
+                <button onClick={() => setSelectedId(null)}>← All campaigns</button>
+                {message && <p style={{ color: '#be123c', fontSize: 13 }}>{message}</p>}
+                {!campaign ? <p>Loading...</p> : (
+                    <>
+                        <h2>{campaign.name} {renderStatus(campaign.status)}</h2>
+                        <div style={{ display: 'flex', gap: 16, alignItems: 'center', flexWrap: 'wrap', fontSize: 14, marginBottom: 12 }}>
+                            <ProgressBar done={campaign.done} total={campaign.total} />
+                            <span>{campaign.done} of {campaign.total} websites done</span>
+                            <span>{campaign.counts.running} running, {campaign.counts.queued} queued</span>
+                            <span>{campaign.totals.pagesVisited} pages</span>
+                            <span>{campaign.totals.domainsChecked} domains checked</span>
+                            <span><strong>{campaign.totals.deadDomains}</strong> dead domains</span>
+                            {campaign.status === 'running' && <button onClick={cancelCampaign}>Cancel</button>}
+                        </div>
+
+                        <h3>Websites</h3>
+                        <table width="100%" cellPadding="6" style={{ borderCollapse: 'collapse' }}>
+                            <thead>
+                                <tr>
+                                    <th align="left">Website</th>
+                                    <th align="left">Status</th>
+                                    <th align="left">Pages Visited</th>
+                                    <th align="left">Domains Checked</th>
+                                    <th align="left">Started</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {campaign.sites.map(site => (
+                                    <tr key={site.startUrl}>
+                                        <td>
+                                            {site.scanId ? websiteLink(site.website) : site.website}
+                                            <div style={{ fontSize: 11, color: '#999' }}>{site.startUrl}</div>
+                                        </td>
+                                        <td>
+                                            {renderStatus(site.status)}
+                                            {site.reason && <div style={{ fontSize: 11, color: '#777' }}>{site.reason}</div>}
+                                        </td>
+                                        <td>{site.visitedCount}</td>
+                                        <td>{site.checkedDomains}</td>
+                                        <td style={{ fontSize: 12 }}>{site.startedAt ? new Date(site.startedAt).toLocaleString() : '-'}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+
+                        <h3>Combined results ({results.total})</h3>
+                        <table width="100%" cellPadding="6" style={{ borderCollapse: 'collapse' }}>
+                            <thead>
+                                <tr>
+                                    <th align="left">Domain</th>
+                                    <th align="left">Score</th>
+                                    <th align="left">Website</th>
+                                    <th align="left">Status</th>
+                                    <th align="left">Lifecycle</th>
+                                    <th align="left">Expiry Date</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {results.items.length ? results.items.map(result => (
+                                    <tr key={result._id}>
+                                        <td>
+                                            <a href={`http://${result.domain}`} target="_blank" rel="noopener noreferrer" style={{ color: '#2563eb', textDecoration: 'underline' }}>
+                                                {result.domain}
+                                            </a>
+                                        </td>
+                                        <td>{result.score ?? '-'}</td>
+                                        <td>{websiteLink(result.website)}</td>
+                                        <td>{result.code ? `${result.status} (${result.code})` : result.status}</td>
+                                        <td>{result.lifecycleStage || 'N/A'}</td>
+                                        <td>{result.expiryDate || 'N/A'}</td>
+                                    </tr>
+                                )) : (
+                                    <tr><td colSpan="6" style={{ color: '#777' }}>No dead domains found yet.</td></tr>
+                                )}
+                            </tbody>
+                        </table>
+                        <div style={{ display: 'flex', gap: 8, alignItems: 'center', marginTop: 12, fontSize: 14 }}>
+                            <button onClick={() => setPage(p => p - 1)} disabled={page <= 1}>Previous</button>
+                            <span>Page {results.totalPages ? page : 0} of {results.totalPages}</span>
+                            <button onClick={() => setPage(p => p + 1)} disabled={page >= results.totalPages}>Next</button>
+                        </div>
+                    </>
+                )}
+            </div>
+        );
+    }
+
+    return (
+        <div>
+            <h2>Campaigns</h2>
+            <form onSubmit={createCampaign} style={{ display: 'grid', gap: 8, marginBottom: 16, padding: 12, border: '1px solid #ddd', borderRadius: 4 }}>
+                <strong>New campaign</strong>
+                <input value={form.name} onChange={updateForm('name')} placeholder="Name" style={{ padding: 8 }} />
+                <textarea
+                    value={form.startUrls}
+                    onChange={updateForm('startUrls')}
+                    placeholder="Start URLs or domains, one per line"
+                    rows={4}
+                    disabled={Boolean(file)}
+                    style={{ padding: 8, fontFamily: 'inherit' }}
+                />
+                <label style={{ fontSize: 12 }}>
+                    or upload a CSV / text file&nbsp;
+                    <input type="file" accept=".csv,.txt,text/csv,text/plain" onChange={(e) => setFile(e.target.files[0] || null)} />
+                </label>
+                <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap', alignItems: 'center' }}>
+                    <label style={{ fontSize: 12 }}>sites at once&nbsp;<input type="number" min={1} max={50} value={form.concurrency} onChange={updateForm('concurrency')} style={{ width: 60, padding: 6 }} /></label>
+                    <label style={{ fontSize: 12 }}>batchSize&nbsp;<input type="number" min={100} step={100} value={form.batchSize} onChange={updateForm('batchSize')} style={{ width: 90, padding: 6 }} /></label>
+                    <label style={{ fontSize: 12 }}>concurrency per site&nbsp;<input type="number" min={1} max={10} value={form.scanConcurrency} onChange={updateForm('scanConcurrency')} style={{ width: 60, padding: 6 }} /></label>
+                    <label style={{ fontSize: 12 }}>politeness&nbsp;
+                        <select value={form.politeness} onChange={updateForm('politeness')} style={{ padding: 6 }}>
+                            <option value="aggressive">aggressive</option>
+                            <option value="balanced">balanced</option>
+                            <option value="polite">polite</option>
+                        </select>
+                    </label>
+                    <button type="submit">Start campaign</button>
+                </div>
+                {message && <span style={{ color: '#be123c', fontSize: 13 }}>{message}</span>}
+            </form>
+
+            <table width="100%" cellPadding="6" style={{ borderCollapse: 'collapse' }}>
+                <thead>
+                    <tr>
+                        <th align="left">Name</th>
+                        <th align="left">Status</th>
+                        <th align="left">Progress</th>
+                        <th align="left">Dead Domains</th>
+                        <th align="left">Started</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {campaigns.length ? campaigns.map(item => (
+                        <tr key={item.id}>
+                            <td>
+                                <a
+                                    href="#"
+                                    onClick={(e) => {
+                                        e.preventDefault();
+                                        openCampaign(item.id);
+                                    }}
+                                    style={{ color: '#2563eb', textDecoration: 'underline' }}
+                                >
+                                    {item.name}
+                                </a>
+                            </td>
+                            <td>{renderStatus(item.status)}</td>
+                            <td style={{ fontSize: 12 }}>
+                                <ProgressBar done={item.done} total={item.total} />
+                                {item.done} / {item.total}{item.counts.failed ? `, ${item.counts.failed} failed` : ''}
+                            </td>
+                            <td>{item.totals.deadDomains}</td>
+                            <td style={{ fontSize: 12 }}>{new Date(item.createdAt).toLocaleString()}</td>
+                        </tr>
+                    )) : (
+                        <tr><td colSpan="5" style={{ color: '#777' }}>No campaigns yet.</td></tr>
+                    )}
+                </tbody>
+            </table>
+        </div>
+    );
+}
@@ -0,0 +1,212 @@
+import { Fragment, useState, useEffect, useRef } from 'react';
+import axios from 'axios';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : 'N/A');
+
+// Every expired domain once, with all the scanned websites that link to it.
+export default function Domains({ onWebsiteSelect }) {
+    const [domains, setDomains] = useState([]);
+    const [search, setSearch] = useState('');
+    const [minSites, setMinSites] = useState('');
+    const [lifecycleStage, setLifecycleStage] = useState('');
+    const [lifecycleStages, setLifecycleStages] = useState([]);
+    const [sort, setSort] = useState({ field: 'referringSites', order: 'desc' });
+    const [page, setPage] = useState(1);
+    const [paging, setPaging] = useState({ total: 0, totalPages: 0 });
+    const [isLoading, setIsLoading] = useState(false);
+    const [error, setError] = useState('');
+    const [expanded, setExpanded] = useState(null);
+    const [details, setDetails] = useState({});
+    const latestRequest = useRef(0);
+
+    useEffect(() => {
+        axios.get('http://localhost:4000/results/triage')
+            .then(({ data }) => setLifecycleStages(data.lifecycleStages || []))
+            .catch((error) => console.error("Failed to fetch lifecycle stages", error));
+    }, []);
+
+    useEffect(() => {
+        setPage(1);
+    }, [search, minSites, lifecycleStage, sort]);
+
+    useEffect(() => {
+        const fetchDomains = async () => {
+            setIsLoading(true);
+            const requestId = ++latestRequest.current;
+            const params = { sort: sort.field, order: sort.order, page, pageSize: 50 };
+            if (search) params.search = search;
+            if (minSites) params.minSites = minSites;
+            if (lifecycleStage) params.lifecycleStage = lifecycleStage;
+            try {
+                const { data } = await axios.get('http://localhost:4000/domains', { params });
+                if (requestId !== latestRequest.current) return;
+                setDomains(data.items);
+                setPaging({ total: data.total, totalPages: data.totalPages });
+                setError('');
+            } catch (error) {
+                console.error("Failed to fetch domains", error);
+                setError(error.response?.data?.error || error.message);
+            } finally {
+                setIsLoading(false);
+            }
+        };
+        fetchDomains();
+    }, [search, minSites, lifecycleStage, sort, page]);
+
+    const toggleDetails = async (domain) => {
+        if (expanded === domain) {
+            setExpanded(null);
+            return;
+        }
+        setExpanded(domain);
+        try {
+            const { data } = await axios.get(`http://localhost:4000/domains/${encodeURIComponent(domain)}`);
+            setDetails(prev => ({ ...prev, [domain]: data }));
+        } catch (error) {
+            console.error("Failed to fetch domain", error);
+            setDetails(prev => ({ ...prev, [domain]: { websites: [] } }));
+        }
+    };
+
+    const toggleSort = (field) => {
+        setSort(prev => (prev.field === field
+            ? { field, order: prev.order === 'asc' ? 'desc' : 'asc' }
+            : { field, order: ['domain', 'estimatedDropDate'].includes(field) ? 'asc' : 'desc' }));
+    };
+
+    const sortHeader = (field, label) => (
+        <th align="left" onClick={() => toggleSort(field)} style={{ cursor: 'pointer', userSelect: 'none' }}>
+            {label}{sort.field === field ? (sort.order === 'asc' ? ' ▲' : ' ▼') : ''}
+        </th>
+    );
+
+    return (
+        <div>
+            <h2>Domains</h2>
+            <p>Each expired domain once, across every website scanned. Domains linked from many sites are usually worth more.</p>
+            <div style={{ display: 'flex', gap: 8, marginBottom: 12, flexWrap: 'wrap' }}>
+                <input value={search} onChange={(e) => setSearch(e.target.value)} placeholder="Search domains..." style={{ flex: 1, padding: 8 }} />
+                <input
+                    type="number"
+                    min="1"
+                    value={minSites}
+                    onChange={(e) => setMinSites(e.target.value)}
+                    placeholder="Min. sites"
+                    style={{ width: 110, padding: 8 }}
+                />
+                <select value={lifecycleStage} onChange={(e) => setLifecycleStage(e.target.value)} style={{ width: 170, padding: 8 }}>
+                    <option value="">Any lifecycle stage</option>
+                    {lifecycleStages.map(stage => <option key={stage} value={stage}>{stage}</option>)}
+                </select>
+            </div>
+
+            {error && <p style={{ color: '#b91c1c' }}>{error}</p>}
+
+            <table width="100%" cellPadding="6" style={{ borderCollapse: 'collapse' }}>
+                <thead>
+                    <tr>
+                        {sortHeader('domain', 'Domain')}
+                        {sortHeader('score', 'Score')}
+                        {sortHeader('referringSites', 'Sites')}
+                        {sortHeader('referringPages', 'Pages')}
+                        {sortHeader('firstSeen', 'First Seen')}
+                        {sortHeader('lastSeen', 'Last Seen')}
+                        <th align="left">Status</th>
+                        {sortHeader('estimatedDropDate', 'Est. Drop')}
+                        <th align="left">Websites</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {isLoading ? (
+                        <tr><td colSpan="9">Loading...</td></tr>
+                    ) : domains.length ? (
+                        domains.map((item) => (
+                            <Fragment key={item.domain}>
+                                <tr>
+                                    <td>
+                                        <a href={`http://${item.domain}`} target="_blank" rel="noopener noreferrer" style={{ color: '#2563eb', textDecoration: 'underline' }}>
+                                            {item.domain}
+                                        </a>
+                                        {item.highRisk && (
+                                            <span style={{ marginLeft: 6, padding: '1px 6px', background: '#be123c', color: 'white', borderRadius: 4, fontSize: 11 }}>
+                                                HIGH RISK
+                                            </span>
+                                        )}
+                                    </td>
+                                    <td>{item.score ?? '-'}</td>
+                                    <td>{item.referringSites}</td>
+                                    <td>{item.referringPages}</td>
+                                    <td>{formatDate(item.firstSeen)}</td>
+                                    <td>{formatDate(item.lastSeen)}</td>
+                                    <td>
+                                        {item.current.code ? `${item.current.status} (${item.current.code})` : item.current.status}
+                                        {item.current.lifecycleStage && <div style={{ fontSize: 12, color: '#555' }}>{item.current.lifecycleStage}</div>}
+                                    </td>
+                                    <td>{item.current.estimatedDropDate ? `~${item.current.estimatedDropDate}` : 'N/A'}</td>
+                                    <td>
+                                        <button type="button" onClick={() => toggleDetails(item.domain)}>
+                                            {expanded === item.domain ? 'Hide' : 'Show'}
+                                        </button>
+                                    </td>
+                                </tr>
+                                {expanded === item.domain && (
+                                    <tr>
+                                        <td colSpan="9" style={{ background: '#f8fafc', fontSize: 13 }}>
+                                            {!details[item.domain] ? 'Loading websites...' : (
+                                                <table width="100%" cellPadding="4">
+                                                    <thead>
+                                                        <tr>
+                                                            <th align="left">Website</th>
+                                                            <th align="left">Linking Pages</th>
+                                                            <th align="left">First Seen</th>
+                                                            <th align="left">Last Seen</th>
+                                                            <th align="left">Referenced As</th>
+                                                            <th align="left">Triage</th>
+                                                        </tr>
+                                                    </thead>
+                                                    <tbody>
+                                                        {details[item.domain].websites.map(site => (
+                                                            <tr key={site.website}>
+                                                                <td>
+                                                                    <a
+                                                                        href="#"
+                                                                        onClick={(e) => {
+                                                                            e.preventDefault();
+                                                                            onWebsiteSelect(site.website);
+                                                                        }}
+                                                                        style={{ color: '#2563eb', textDecoration: 'underline', cursor: 'pointer' }}
+                                                                    >
+                                                                        {site.website}
+                                                                    </a>
+                                                                </td>
+                                                                <td>{site.referringPages}</td>
+                                                                <td>{formatDate(site.firstSeen)}</td>
+                                                                <td>{formatDate(site.lastSeen)}</td>
+                                                                <td>{site.referenceTypes.join(', ') || 'anchor'}</td>
+                                                                <td>{site.triageStatus || 'new'}</td>
+                                                            </tr>
+                                                        ))}
+                                                    </tbody>
+                                                </table>
+                                            )}
+                                        </td>
+                                    </tr>
+                                )}
+                            </Fragment>
+                        ))
+                    ) : (
+                        <tr>
+                            <td colSpan="9" style={{ color: '#777' }}>No domains match the current filters.</td>
+                        </tr>
+                    )}
+                </tbody>
+            </table>
+
+            <div style={{ display: 'flex', gap: 8, alignItems: 'center', marginTop: 12, fontSize: 14 }}>
+                <button onClick={() => setPage(p => p - 1)} disabled={isLoading || page <= 1}>Previous</button>
+                <span>Page {paging.totalPages ? page : 0} of {paging.totalPages} ({paging.total} domains)</span>
+                <button onClick={() => setPage(p => p + 1)} disabled={isLoading || page >= paging.totalPages}>Next</button>
+            </div>
+        </div>
+    );
+}
@@ -1,6 +1,63 @@
-import { useState, useEffect } from 'react';
+import { Fragment, useState, useEffect, useRef } from 'react';
 import axios from 'axios';
 
+const REFERENCE_TYPES = [
+    ['anchor', 'Links'],
+    ['image', 'Images'],
+    ['script', 'Scripts'],
+    ['iframe', 'Iframes / embeds'],
+    ['link', '<link> tags'],
+    ['css', 'CSS url()'],
+    ['meta-refresh', 'Meta refresh'],
+    ['form', 'Form actions'],
+    ['mailto', 'Email addresses'],
+];
+
+const TRANSITION_LABELS = {
+    'now-available': ['Now available', '#15803d'],
+    're-registered': ['Re-registered', '#b91c1c'],
+    'resolving': ['Resolving again', '#b45309'],
+    'renewed': ['Renewed', '#b45309'],
+    'registrar-changed': ['Registrar changed', '#6b7280'],
+};
+
+const LIFECYCLE_LABELS = {
+    'active': 'Active',
+    'expired-grace': 'Expired (grace)',
+    'redemption': 'Redemption',
+    'pending-delete': 'Pending delete',
+    'available': 'Available',
+};
+
+const LIFECYCLE_COLORS = {
+    'active': '#6b7280',
+    'expired-grace': '#b45309',
+    'redemption': '#c2410c',
+    'pending-delete': '#be123c',
+    'available': '#15803d',
+};
+
+const SCORE_FACTORS = {
+    referringPages: 'Linking pages',
+    referringSites: 'Linking sites',
+    dofollow: 'Followed links',
+    anchorRelevance: 'Anchor text',
+    tld: 'TLD',
+    length: 'Length',
+    characters: 'Hyphens / digits',
+    dictionary: 'Dictionary words',
+    age: 'Domain age',
+};
+
+// One line per factor for the score cell's tooltip.
+const describeScore = (breakdown) => Object.entries(breakdown || {})
+    .map(([factor, { points, weight, detail }]) => `${SCORE_FACTORS[factor] || factor}: ${points} / ${weight} (${detail})`)
+    .join('\n');
+
+const scoreColor = (score) => (score >= 60 ? '#15803d' : score >= 35 ? '#b45309' : '#6b7280');
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : 'N/A');
+
 export default function Results({ initialWebsite = null }) {
     const [results, setResults] = useState([]);
     const [website, setWebsite] = useState(initialWebsite || '');
@@ -10,6 +67,26 @@ export default function Results({ initialWebsite = null }) {
     // --- NEW STATE for the dropdown ---
     const [reasons, setReasons] = useState([]);
     const [selectedReason, setSelectedReason] = useState('');
+    const [tlds, setTlds] = useState([]);
+    const [referenceType, setReferenceType] = useState('');
+    const [exportFormat, setExportFormat] = useState('csv');
+    const [dateRanges, setDateRanges] = useState({ foundFrom: '', foundTo: '', expiryFrom: '', expiryTo: '', dropFrom: '', dropTo: '' });
+    const [sort, setSort] = useState({ field: 'foundAt', order: 'desc' });
+    const [page, setPage] = useState(1);
+    const [pageSize, setPageSize] = useState(50);
+    const [paging, setPaging] = useState({ total: 0, totalPages: 0 });
+    const [error, setError] = useState('');
+    const latestRequest = useRef(0);
+    const [triageOptions, setTriageOptions] = useState({ statuses: [], tags: [], lifecycleStages: [] });
+    const [lifecycleFilter, setLifecycleFilter] = useState('');
+    const [triageFilter, setTriageFilter] = useState('');
+    const [tagFilter, setTagFilter] = useState('');
+    const [selected, setSelected] = useState(new Set());
+    const [bulkTag, setBulkTag] = useState('');
+    const [expandedId, setExpandedId] = useState(null);
+    const [sources, setSources] = useState({});
+    const [history, setHistory] = useState({});
+    const [transitionFilter, setTransitionFilter] = useState('');
 
     // --- NEW useEffect: Fetch the unique reasons when the component loads ---
     useEffect(() => {
@@ -21,35 +98,200 @@ export default function Results({ initialWebsite = null }) {
                 console.error("Failed to fetch reasons", error);
             }
         };
+        const fetchTlds = async () => {
+            try {
+                const { data } = await axios.get('http://localhost:4000/results/tlds');
+                setTlds(data);
+            } catch (error) {
+                console.error("Failed to fetch TLDs", error);
+            }
+        };
         fetchReasons();
+        fetchTlds();
+        fetchTriageOptions();
     }, []);
 
+    const fetchTriageOptions = async () => {
+        try {
+            const { data } = await axios.get('http://localhost:4000/results/triage');
+            setTriageOptions(data);
+        } catch (error) {
+            console.error("Failed to fetch triage options", error);
+        }
+    };
+
+    // Any filter change starts again from the first page. Both are set in the
+    // same update so the change sends one request, not one per state.
+    const changeFilter = (setter, value) => {
+        setter(value);
+        setPage(1);
+    };
+
     useEffect(() => {
-        setWebsite(initialWebsite || '');
+        changeFilter(setWebsite, initialWebsite || '');
     }, [initialWebsite]);
 
     // --- UPDATED useEffect: Now correctly re-runs when TLD or reason changes ---
     useEffect(() => {
         fetchResults();
-    }, [website, tld, selectedReason]); // Add dependencies here
+    }, [website, tld, selectedReason, referenceType, triageFilter, tagFilter, transitionFilter, lifecycleFilter, dateRanges, sort, page, pageSize]); // Add dependencies here
 
-    const fetchResults = async () => {
-        setIsLoading(true);
+    const buildParams = () => {
         const params = {};
         if (website) params.website = website;
         if (tld) params.tld = tld;
         if (selectedReason) params.reason = selectedReason; // Add reason to the request
-        
+        if (referenceType === 'high-risk') params.risk = 'high';
+        else if (referenceType) params.referenceType = referenceType;
+        if (triageFilter) params.triageStatus = triageFilter;
+        if (tagFilter) params.tag = tagFilter;
+        if (transitionFilter) params.transition = transitionFilter;
+        if (lifecycleFilter) params.lifecycleStage = lifecycleFilter;
+        for (const [key, value] of Object.entries(dateRanges)) {
+            if (value) params[key] = value;
+        }
+        params.sort = sort.field;
+        params.order = sort.order;
+        return params;
+    };
+
+    const fetchResults = async () => {
+        setIsLoading(true);
+        const params = { ...buildParams(), page, pageSize };
+        const requestId = ++latestRequest.current;
+
         try {
             const { data } = await axios.get('http://localhost:4000/results', { params });
-            setResults(data);
+            // A later request may have gone out before this one returned;
+            // only the latest one updates the page or the loading state.
+            if (requestId !== latestRequest.current) return;
+            setResults(data.items);
+            setSelected(new Set());
+            setPaging({ total: data.total, totalPages: data.totalPages });
+            setError('');
         } catch (error) {
+            if (requestId !== latestRequest.current) return;
             console.error("Failed to fetch results", error);
+            setError(error.response?.data?.error || error.message);
         } finally {
-            setIsLoading(false);
+            if (requestId === latestRequest.current) setIsLoading(false);
         }
     };
     
+    const toggleDetails = async (id) => {
+        if (expandedId === id) {
+            setExpandedId(null);
+            return;
+        }
+        setExpandedId(id);
+        const fetchSources = async () => {
+            if (sources[id]) return;
+            try {
+                const { data } = await axios.get(`http://localhost:4000/results/${id}/sources`);
+                setSources(prev => ({ ...prev, [id]: data }));
+            } catch (error) {
+                console.error("Failed to fetch sources", error);
+                setSources(prev => ({ ...prev, [id]: [] }));
+            }
+        };
+        // History is refetched each time: re-verification may have run since.
+        const fetchHistory = async () => {
+            try {
+                const { data } = await axios.get(`http://localhost:4000/results/${id}/history`);
+                setHistory(prev => ({ ...prev, [id]: data }));
+            } catch (error) {
+                console.error("Failed to fetch history", error);
+                setHistory(prev => ({ ...prev, [id]: { history: [] } }));
+            }
+        };
+        await Promise.all([fetchSources(), fetchHistory()]);
+    };
+
+    const updateResult = async (id, changes) => {
+        try {
+            const { data } = await axios.patch(`http://localhost:4000/results/${id}`, changes);
+            setResults(prev => prev.map(r => (r._id === id ? data : r)));
+            if (changes.tags) fetchTriageOptions();
+        } catch (error) {
+            console.error("Failed to update result", error);
+            setError(error.response?.data?.error || error.message);
+        }
+    };
+
+    const bulkUpdate = async (changes) => {
+        try {
+            await axios.patch('http://localhost:4000/results', { ids: [...selected], ...changes });
+            if (changes.addTags) fetchTriageOptions();
+            fetchResults();
+        } catch (error) {
+            console.error("Failed to update results", error);
+            setError(error.response?.data?.error || error.message);
+        }
+    };
+
+    const toggleSelected = (id) => {
+        setSelected(prev => {
+            const next = new Set(prev);
+            if (next.has(id)) next.delete(id);
+            else next.add(id);
+            return next;
+        });
+    };
+
+    const parseTags = (value) => value.split(',').map(t => t.trim()).filter(Boolean);
+
+    const toggleSort = (field) => {
+        changeFilter(setSort, prev => prev.field === field
+            ? { field, order: prev.order === 'asc' ? 'desc' : 'asc' }
+            : { field, order: field === 'foundAt' || field === 'expiryDate' ? 'desc' : 'asc' });
+    };
+
+    const sortHeader = (field, label) => (
+        <th align="left" onClick={() => toggleSort(field)} style={{ cursor: 'pointer', userSelect: 'none' }}>
+            {label}{sort.field === field ? (sort.order === 'asc' ? ' ▲' : ' ▼') : ''}
+        </th>
+    );
+
+    // Newest check first; the oldest entry is what the original scan saw.
+    const renderHistory = (data) => {
+        if (!data) return <div style={{ marginBottom: 8 }}>Loading history...</div>;
+        return (
+            <div style={{ marginBottom: 12 }}>
+                <strong>Status history</strong>
+                <span style={{ color: '#777', marginLeft: 8 }}>
+                    {data.lastVerifiedAt ? `last re-checked ${new Date(data.lastVerifiedAt).toLocaleString()}` : 'not re-checked yet'}
+                    {data.nextVerificationAt && `, next check due ${new Date(data.nextVerificationAt).toLocaleString()}`}
+                </span>
+                {data.history.length > 0 && (
+                    <ul style={{ listStyle: 'none', margin: '6px 0 0', padding: '0 0 0 12px', borderLeft: '2px solid #cbd5e1' }}>
+                        {data.history.map(entry => (
+                            <li key={entry._id} style={{ marginBottom: 4 }}>
+                                <span style={{ color: '#555' }}>{new Date(entry.checkedAt).toLocaleString()}</span>
+                                {' '}{entry.source === 'scan' ? 'found by scan' : 're-checked'}:
+                                {' '}{entry.code ? `${entry.status} (${entry.code})` : entry.status}
+                                , {entry.available ? 'available' : entry.available === false ? 'registered' : 'availability unknown'}
+                                {entry.lifecycleStage && `, ${LIFECYCLE_LABELS[entry.lifecycleStage] || entry.lifecycleStage}`}
+                                , expires {formatDate(entry.expiryDate)}
+                                {entry.registrar && `, ${entry.registrar}`}
+                                {entry.transitions?.map(transition => (
+                                    <strong key={transition} style={{ marginLeft: 6, color: TRANSITION_LABELS[transition]?.[1] }}>
+                                        {TRANSITION_LABELS[transition]?.[0] || transition}
+                                    </strong>
+                                ))}
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+        );
+    };
+
+    // The browser downloads the file itself; the API streams it with the current filters applied.
+    const exportResults = () => {
+        const query = new URLSearchParams({ ...buildParams(), format: exportFormat });
+        window.location.href = `http://localhost:4000/results/export?${query}`;
+    };
+
     // --- UPDATED handleSearch: Clear other filters when one is used manually ---
     const handleSearch = (e) => {
         e.preventDefault();
@@ -64,20 +306,24 @@ export default function Results({ initialWebsite = null }) {
             <form onSubmit={handleSearch} style={{ display: 'flex', gap: 8, marginBottom: 16, alignItems: 'center', flexWrap: 'wrap' }}>
                 <input
                     value={website}
-                    onChange={(e) => setWebsite(e.target.value)}
+                    onChange={(e) => changeFilter(setWebsite, e.target.value)}
                     placeholder="Filter by website..."
                     style={{ flex: 1, minWidth: '200px', padding: 8 }}
                 />
-                <input
+                <select
                     value={tld}
-                    onChange={(e) => setTld(e.target.value)}
-                    placeholder="Filter by TLD..."
+                    onChange={(e) => changeFilter(setTld, e.target.value)}
                     style={{ width: 150, padding: 8 }}
-                />
+                >
+                    <option value="">Filter by suffix...</option>
+                    {tlds.map(suffix => (
+                        <option key={suffix} value={suffix}>.{suffix}</option>
+                    ))}
+                </select>
                 
                 <select 
                     value={selectedReason} 
-                    onChange={(e) => setSelectedReason(e.target.value)}
+                    onChange={(e) => changeFilter(setSelectedReason, e.target.value)}
                     style={{ width: 220, padding: 8 }}
                 >
                     <option value="">Filter by Expiry Reason...</option>
@@ -87,25 +333,115 @@ export default function Results({ initialWebsite = null }) {
                     ))}
                 </select>
 
+                <select
+                    value={referenceType}
+                    onChange={(e) => changeFilter(setReferenceType, e.target.value)}
+                    style={{ width: 200, padding: 8 }}
+                >
+                    <option value="">Filter by reference type...</option>
+                    <option value="high-risk">High risk (script / iframe)</option>
+                    {REFERENCE_TYPES.map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                    ))}
+                </select>
+
                 <button type="submit" disabled={isLoading}>{isLoading ? 'Searching...' : 'Search'}</button>
+
+                <select value={triageFilter} onChange={(e) => changeFilter(setTriageFilter, e.target.value)} style={{ width: 170, padding: 8 }}>
+                    <option value="">Filter by triage...</option>
+                    {triageOptions.statuses.map(status => (
+                        <option key={status} value={status}>{status}</option>
+                    ))}
+                </select>
+                <select value={tagFilter} onChange={(e) => changeFilter(setTagFilter, e.target.value)} style={{ width: 150, padding: 8 }}>
+                    <option value="">Filter by tag...</option>
+                    {triageOptions.tags.map(tag => (
+                        <option key={tag} value={tag}>{tag}</option>
+                    ))}
+                </select>
+                <select value={lifecycleFilter} onChange={(e) => changeFilter(setLifecycleFilter, e.target.value)} style={{ width: 170, padding: 8 }}>
+                    <option value="">Filter by lifecycle...</option>
+                    {triageOptions.lifecycleStages.map(stage => (
+                        <option key={stage} value={stage}>{LIFECYCLE_LABELS[stage] || stage}</option>
+                    ))}
+                </select>
+                <select value={transitionFilter} onChange={(e) => changeFilter(setTransitionFilter, e.target.value)} style={{ width: 190, padding: 8 }}>
+                    <option value="">Filter by recent change...</option>
+                    <option value="any">Any change</option>
+                    {Object.entries(TRANSITION_LABELS).map(([value, [label]]) => (
+                        <option key={value} value={value}>{label}</option>
+                    ))}
+                </select>
+
+                <div style={{ display: 'flex', gap: 8, flexBasis: '100%', flexWrap: 'wrap', fontSize: 12, alignItems: 'center' }}>
+                    {[['foundFrom', 'Found from'], ['foundTo', 'to'], ['expiryFrom', 'Expires from'], ['expiryTo', 'to'], ['dropFrom', 'Drops from'], ['dropTo', 'to']].map(([key, label]) => (
+                        <label key={key}>{label}&nbsp;
+                            <input
+                                type="date"
+                                value={dateRanges[key]}
+                                onChange={(e) => changeFilter(setDateRanges, prev => ({ ...prev, [key]: e.target.value }))}
+                                style={{ padding: 6 }}
+                            />
+                        </label>
+                    ))}
+                </div>
+
+                <select value={exportFormat} onChange={(e) => setExportFormat(e.target.value)} style={{ padding: 8 }}>
+                    <option value="csv">CSV</option>
+                    <option value="jsonl">JSON Lines</option>
+                    <option value="xlsx">Excel (.xlsx)</option>
+                </select>
+                <button type="button" onClick={exportResults}>Export</button>
             </form>
 
+            {error && <p style={{ color: '#be123c', fontSize: 13 }}>{error}</p>}
+
+            {selected.size > 0 && (
+                <div style={{ display: 'flex', gap: 8, alignItems: 'center', marginBottom: 8, padding: 8, background: '#eef2ff', borderRadius: 6, fontSize: 13 }}>
+                    <span>{selected.size} selected:</span>
+                    <select value="" onChange={(e) => e.target.value && bulkUpdate({ triageStatus: e.target.value })} style={{ padding: 4 }}>
+                        <option value="">Set triage status...</option>
+                        {triageOptions.statuses.map(status => (
+                            <option key={status} value={status}>{status}</option>
+                        ))}
+                    </select>
+                    <input value={bulkTag} onChange={(e) => setBulkTag(e.target.value)} placeholder="tag" style={{ width: 120, padding: 4 }} />
+                    <button onClick={() => bulkUpdate({ addTags: parseTags(bulkTag) })} disabled={!bulkTag.trim()}>Add Tag</button>
+                    <button onClick={() => bulkUpdate({ removeTags: parseTags(bulkTag) })} disabled={!bulkTag.trim()}>Remove Tag</button>
+                    <button onClick={() => setSelected(new Set())}>Clear Selection</button>
+                </div>
+            )}
+
             <table width="100%" cellPadding="6" style={{ borderCollapse: 'collapse' }}>
                 <thead>
                     <tr>
-                        <th align="left">Website Scanned</th>
-                        <th align="left">Expired Domain Found</th>
-                        <th align="left">Status</th>
-                        <th align="left">Expiry Date / Reason</th>
-                        <th align="left">Date Found</th>
+                        <th>
+                            <input
+                                type="checkbox"
+                                checked={results.length > 0 && selected.size === results.length}
+                                onChange={(e) => setSelected(e.target.checked ? new Set(results.map(r => r._id)) : new Set())}
+                            />
+                        </th>
+                        {sortHeader('website', 'Website Scanned')}
+                        {sortHeader('domain', 'Expired Domain Found')}
+                        {sortHeader('score', 'Score')}
+                        {sortHeader('status', 'Status')}
+                        {sortHeader('expiryDate', 'Expiry Date / Reason')}
+                        {sortHeader('lifecycleStage', 'Lifecycle')}
+                        {sortHeader('estimatedDropDate', 'Est. Drop')}
+                        {sortHeader('foundAt', 'Date Found')}
+                        {sortHeader('triageStatus', 'Triage')}
+                        <th align="left">Details</th>
                     </tr>
                 </thead>
                 <tbody>
                     {isLoading ? (
-                        <tr><td colSpan="5">Loading...</td></tr>
+                        <tr><td colSpan="11">Loading...</td></tr>
                     ) : results.length ? (
                         results.map((result) => (
-                            <tr key={result._id}>
+                            <Fragment key={result._id}>
+                            <tr>
+                                <td><input type="checkbox" checked={selected.has(result._id)} onChange={() => toggleSelected(result._id)} /></td>
                                 <td>{result.website}</td>
                                 <td>
                                     <a
@@ -116,21 +452,144 @@ export default function Results({ initialWebsite = null }) {
                                     >
                                         {result.domain}
                                     </a>
+                                    {result.risk === 'high' && (
+                                        <span title="Referenced by a script or iframe: whoever registers it can run code on the linking pages" style={{ marginLeft: 6, padding: '1px 6px', background: '#be123c', color: 'white', borderRadius: 4, fontSize: 11 }}>
+                                            HIGH RISK
+                                        </span>
+                                    )}
+                                    {result.lastTransitions?.map(transition => (
+                                        <span
+                                            key={transition}
+                                            title={`Seen at the re-check on ${new Date(result.lastTransitionAt).toLocaleString()}`}
+                                            style={{ marginLeft: 6, padding: '1px 6px', background: TRANSITION_LABELS[transition]?.[1] || '#6b7280', color: 'white', borderRadius: 4, fontSize: 11 }}
+                                        >
+                                            {TRANSITION_LABELS[transition]?.[0] || transition}
+                                        </span>
+                                    ))}
+                                    {result.referenceTypes?.length > 0 && (
+                                        <div style={{ fontSize: 12, color: '#555' }}>as {result.referenceTypes.join(', ')}</div>
+                                    )}
+                                    {result.subdomains?.some(host => host !== result.domain) && (
+                                        <div style={{ fontSize: 12, color: '#777' }}>
+                                            {result.subdomains.filter(host => host !== result.domain).join(', ')}
+                                        </div>
+                                    )}
                                 </td>
-                                <td>{result.status}</td>
-                                <td>{result.expiryDate || result.expiryDateReason || 'N/A'}</td>
+                                <td>
+                                    {result.score != null ? (
+                                        <span title={describeScore(result.scoreBreakdown)} style={{ fontWeight: 'bold', color: scoreColor(result.score), cursor: 'help' }}>
+                                            {result.score}
+                                        </span>
+                                    ) : <span style={{ color: '#999' }}>-</span>}
+                                </td>
+                                <td>{result.code ? `${result.status} (${result.code})` : result.status}</td>
+                                <td>
+                                    {result.expiryDate || result.expiryDateReason || 'N/A'}
+                                    {result.whoisProvider && <span style={{ color: '#999', fontSize: 12 }}> via {result.whoisProvider}</span>}
+                                </td>
+                                <td>
+                                    {result.lifecycleStage ? (
+                                        <span
+                                            title={result.domainStatus?.length ? `EPP status: ${result.domainStatus.join(', ')}` : undefined}
+                                            style={{ padding: '1px 6px', borderRadius: 4, fontSize: 12, color: 'white', background: LIFECYCLE_COLORS[result.lifecycleStage] || '#6b7280' }}
+                                        >
+                                            {LIFECYCLE_LABELS[result.lifecycleStage] || result.lifecycleStage}
+                                        </span>
+                                    ) : <span style={{ color: '#999' }}>unknown</span>}
+                                </td>
+                                <td>{result.estimatedDropDate ? `~${result.estimatedDropDate}` : 'N/A'}</td>
                                 <td>{new Date(result.foundAt).toLocaleString()}</td>
+                                <td style={{ minWidth: 200 }}>
+                                    <select
+                                        value={result.triageStatus || 'new'}
+                                        onChange={(e) => updateResult(result._id, { triageStatus: e.target.value })}
+                                        style={{ padding: 4, width: '100%' }}
+                                    >
+                                        {triageOptions.statuses.map(status => (
+                                            <option key={status} value={status}>{status}</option>
+                                        ))}
+                                    </select>
+                                    {/* Uncontrolled inputs save on blur; the key resets them when the saved value changes. */}
+                                    <input
+                                        key={`tags-${(result.tags || []).join(',')}`}
+                                        defaultValue={(result.tags || []).join(', ')}
+                                        onBlur={(e) => {
+                                            const tags = parseTags(e.target.value);
+                                            if (tags.join(',') !== (result.tags || []).join(',')) updateResult(result._id, { tags });
+                                        }}
+                                        placeholder="tags, comma separated"
+                                        style={{ padding: 4, width: '100%', marginTop: 4, fontSize: 12 }}
+                                    />
+                                    <textarea
+                                        key={`notes-${result.notes || ''}`}
+                                        defaultValue={result.notes || ''}
+                                        onBlur={(e) => {
+                                            if (e.target.value !== (result.notes || '')) updateResult(result._id, { notes: e.target.value });
+                                        }}
+                                        placeholder="notes"
+                                        rows={1}
+                                        style={{ padding: 4, width: '100%', marginTop: 4, fontSize: 12 }}
+                                    />
+                                </td>
+                                <td>
+                                    <button type="button" onClick={() => toggleDetails(result._id)}>
+                                        {expandedId === result._id ? 'Hide' : 'Show'}
+                                    </button>
+                                </td>
                             </tr>
+                            {expandedId === result._id && (
+                                <tr>
+                                    <td colSpan="11" style={{ background: '#f8fafc', fontSize: 13 }}>
+                                        {renderHistory(history[result._id])}
+                                        {!sources[result._id] ? 'Loading sources...' : sources[result._id].length ? (
+                                            <table width="100%" cellPadding="4">
+                                                <thead>
+                                                    <tr>
+                                                        <th align="left">Linking Page</th>
+                                                        <th align="left">Target URL</th>
+                                                        <th align="left">Type</th>
+                                                        <th align="left">Anchor Text</th>
+                                                        <th align="left">Rel</th>
+                                                    </tr>
+                                                </thead>
+                                                <tbody>
+                                                    {sources[result._id].map(source => (
+                                                        <tr key={source._id}>
+                                                            <td><a href={source.sourceUrl} target="_blank" rel="noopener noreferrer">{source.sourceUrl}</a></td>
+                                                            <td style={{ wordBreak: 'break-all' }}>{source.targetUrl}</td>
+                                                            <td>{source.types?.join(', ') || 'anchor'}</td>
+                                                            <td>{source.anchorText || <span style={{ color: '#999' }}>(none)</span>}</td>
+                                                            <td>{source.rel?.length ? source.rel.join(', ') : 'follow'}</td>
+                                                        </tr>
+                                                    ))}
+                                                </tbody>
+                                            </table>
+                                        ) : 'No linking pages recorded for this domain.'}
+                                    </td>
+                                </tr>
+                            )}
+                            </Fragment>
                         ))
                     ) : (
                         <tr>
-                            <td colSpan="5" style={{ color: '#777' }}>
+                            <td colSpan="11" style={{ color: '#777' }}>
                                 No results found for the current filters.
                             </td>
                         </tr>
                     )}
                 </tbody>
             </table>
+
+            <div style={{ display: 'flex', gap: 8, alignItems: 'center', marginTop: 12, fontSize: 14 }}>
+                <button onClick={() => setPage(p => p - 1)} disabled={isLoading || page <= 1}>Previous</button>
+                <span>Page {paging.totalPages ? page : 0} of {paging.totalPages} ({paging.total} results)</span>
+                <button onClick={() => setPage(p => p + 1)} disabled={isLoading || page >= paging.totalPages}>Next</button>
+                <label style={{ marginLeft: 'auto' }}>Rows per page&nbsp;
+                    <select value={pageSize} onChange={(e) => changeFilter(setPageSize, Number(e.target.value))} style={{ padding: 4 }}>
+                        {[25, 50, 100, 250].map(size => <option key={size} value={size}>{size}</option>)}
+                    </select>
+                </label>
+            </div>
         </div>
     );
 }
\ No newline at end of file
@@ -1,6 +1,41 @@
 import { useEffect, useRef, useState } from 'react';
 import axios from 'axios';
 
+const DEFAULT_URL_RULES = {
+  stripTracking: true,
+  stripSessionIds: true,
+  sortQuery: true,
+  honorCanonical: true,
+  trailingSlash: 'strip',
+  include: '',
+  exclude: '',
+  skipExtensions: '',
+};
+
+const RULE_FLAGS = [
+  ['stripTracking', 'Strip tracking params'],
+  ['stripSessionIds', 'Strip session IDs'],
+  ['sortQuery', 'Sort query params'],
+  ['honorCanonical', 'Honor rel=canonical'],
+];
+
+// The form keeps patterns as newline-separated text and extensions as a
+// comma-separated list; the API stores arrays. Blank extensions mean "use the default list".
+const toRulesForm = (rules) => ({
+  ...DEFAULT_URL_RULES,
+  ...rules,
+  include: (rules.include || []).join('\n'),
+  exclude: (rules.exclude || []).join('\n'),
+  skipExtensions: (rules.skipExtensions || []).join(', '),
+});
+
+const fromRulesForm = (form) => ({
+  ...form,
+  include: form.include.split('\n').map((s) => s.trim()).filter(Boolean),
+  exclude: form.exclude.split('\n').map((s) => s.trim()).filter(Boolean),
+  skipExtensions: form.skipExtensions.trim() ? form.skipExtensions.split(/[\s,]+/).filter(Boolean) : undefined,
+});
+
 export default function Scanner() {
   const [startUrl, setStartUrl] = useState('https://example.com');
   const [scanId, setScanId] = useState(null);
@@ -13,13 +48,21 @@ export default function Scanner() {
     checkedDomains: 0,
     maxPages: 1000,
     crawlRate: 0,
+    effectiveDelay: null,
+    pool: null,
     etaSec: null,
     concurrency: 5,
   });
   const [statusLine, setStatusLine] = useState('Idle');
   const [existingScan, setExistingScan] = useState(null);
   const [isCheckingScan, setIsCheckingScan] = useState(false);
-  const [isAggressive, setIsAggressive] = useState(true);
+  const [schedule, setSchedule] = useState(null);
+  const [rescheduleDelay, setRescheduleDelay] = useState(5);
+  const [politeness, setPoliteness] = useState('aggressive');
+  const [seedSitemaps, setSeedSitemaps] = useState(true);
+  const [urlRules, setUrlRules] = useState(DEFAULT_URL_RULES);
+  const [scope, setScope] = useState({ mode: 'origin', pathPrefix: '/', maxDepth: '' });
+  const [timeBudgetMinutes, setTimeBudgetMinutes] = useState('');
   const [autoResumeEnabled, setAutoResumeEnabled] = useState(false);
   const [autoResumeDelay, setAutoResumeDelay] = useState(5);
   const [autoResumeRepeat, setAutoResumeRepeat] = useState(5);
@@ -35,6 +78,9 @@ export default function Scanner() {
     try {
       const { data } = await axios.get(`http://localhost:4000/scan/status?startUrl=${encodeURIComponent(startUrl)}`);
       setExistingScan(data.exists ? data : null);
+      if (data.exists && data.urlRules) setUrlRules(toRulesForm(data.urlRules));
+      if (data.exists && data.scope) setScope({ ...data.scope, maxDepth: data.scope.maxDepth ?? '' });
+      if (data.exists) setTimeBudgetMinutes(data.timeBudgetMinutes ?? '');
     } catch (error) {
       setExistingScan(null);
       console.error("Failed to check scan status", error);
@@ -43,6 +89,41 @@ export default function Scanner() {
     }
   };
 
+  const fetchSchedule = async (id) => {
+    try {
+      const { data } = await axios.get(`http://localhost:4000/scans/${id}/schedule`);
+      setSchedule(data);
+    } catch (error) {
+      setSchedule(null);
+      console.error("Failed to fetch schedule", error);
+    }
+  };
+
+  const cancelSchedule = async () => {
+    try {
+      await axios.delete(`http://localhost:4000/scans/${existingScan.id}/schedule`);
+      fetchSchedule(existingScan.id);
+    } catch (error) {
+      console.error("Failed to cancel schedule", error);
+      setStatusLine(`Failed to cancel auto-resume: ${error.response?.data?.error || error.message}`);
+    }
+  };
+
+  const reschedule = async () => {
+    try {
+      const { data } = await axios.put(`http://localhost:4000/scans/${existingScan.id}/schedule`, { delayMinutes: Number(rescheduleDelay) });
+      setSchedule(data);
+    } catch (error) {
+      console.error("Failed to reschedule", error);
+      setStatusLine(`Failed to schedule resume: ${error.response?.data?.error || error.message}`);
+    }
+  };
+
+  useEffect(() => {
+    if (existingScan?.id) fetchSchedule(existingScan.id);
+    else setSchedule(null);
+  }, [existingScan]);
+
   useEffect(() => {
     const handler = setTimeout(() => checkScanStatus(), 500);
     return () => clearTimeout(handler);
@@ -61,7 +142,11 @@ export default function Scanner() {
         maxPages: stats.maxPages,
         concurrency: stats.concurrency,
         mode,
-        isAggressive,
+        politeness,
+        seedSitemaps,
+        urlRules: fromRulesForm(urlRules),
+        scope,
+        timeBudgetMinutes: timeBudgetMinutes === '' ? null : Number(timeBudgetMinutes),
         autoResume: {
           enabled: autoResumeEnabled,
           delayMinutes: Number(autoResumeDelay),
@@ -82,11 +167,16 @@ export default function Scanner() {
           case 'connected':
             setStatusLine('Connected to scan stream.');
             break;
+          case 'queued':
+            setStatusLine(`Waiting for a free crawler thread (position ${msg.position} of ${msg.pool.queuedScans}).`);
+            break;
           case 'start':
-            setStatusLine(`Scanning: ${msg.startUrl} (batchSize ${msg.batchSize}, mode=${msg.mode})`);
+            setStatusLine(`Scanning: ${msg.startUrl} (batchSize ${msg.batchSize}, mode=${msg.mode}${msg.seeded ? `, ${msg.seeded} URLs seeded from sitemaps` : ''})`);
             break;
           case 'page':
-            setStatusLine(`Page: ${msg.stage || ''} ${msg.url || ''}`);
+            setStatusLine(msg.stage === 'retry-scheduled'
+              ? `Page: backing off after HTTP ${msg.statusCode}, retrying ${msg.url} (attempt ${msg.attempt})`
+              : `Page: ${msg.stage || ''} ${msg.url || ''}${msg.depth != null ? ` (depth ${msg.depth})` : ''}`);
             break;
           case 'domain':
             setStatusLine(`Domain: ${msg.stage || ''} ${msg.domain || ''}`);
@@ -99,7 +189,7 @@ export default function Scanner() {
             setIsScanning(false);
             break;
           case 'paused':
-            setStatusLine(`Scan paused. Total Pages: ${msg.totalPages}. ${autoResumeEnabled ? 'Auto-resume scheduled.' : 'You can resume later.'}`);
+            setStatusLine(`Scan paused${msg.reason === 'time-budget' ? ' (batch time budget reached)' : ''}. Total Pages: ${msg.totalPages}. ${autoResumeEnabled ? 'Auto-resume scheduled.' : 'You can resume later.'}`);
             if (evtRef.current) {
               evtRef.current.close();
               evtRef.current = null;
@@ -192,9 +282,50 @@ export default function Scanner() {
             <label style={{ fontSize: 12 }}>concurrency&nbsp;<input type="number" min={1} max={10} value={stats.concurrency} onChange={(e) => setStats(s => ({...s, concurrency: Number(e.target.value) || 5}))} style={{ width: 100, padding: 6 }} disabled={isScanning}/></label>
         </div>
         <div style={{ marginTop: '12px' }}>
-            <label style={{ fontSize: 14, cursor: 'pointer' }}><input type="checkbox" checked={isAggressive} onChange={(e) => setIsAggressive(e.target.checked)} disabled={isScanning} style={{ verticalAlign: 'middle', marginRight: '6px' }}/>Aggressive Crawl</label>
+            <label style={{ fontSize: 14 }}>Politeness&nbsp;
+              <select value={politeness} onChange={(e) => setPoliteness(e.target.value)} disabled={isScanning} style={{ padding: 4 }}>
+                <option value="aggressive">Aggressive (250ms base delay)</option>
+                <option value="balanced">Balanced (500ms base delay)</option>
+                <option value="polite">Polite (2s base delay)</option>
+              </select>
+            </label>
+            <label style={{ fontSize: 14, marginLeft: '16px' }}>Scope&nbsp;
+              <select value={scope.mode} onChange={(e) => setScope(sc => ({ ...sc, mode: e.target.value }))} disabled={isScanning} style={{ padding: 4 }}>
+                <option value="origin">Exact origin</option>
+                <option value="host">Host (http + https, www)</option>
+                <option value="domain">All subdomains</option>
+              </select>
+            </label>
+            <label style={{ fontSize: 14, cursor: 'pointer', marginLeft: '16px' }}><input type="checkbox" checked={seedSitemaps} onChange={(e) => setSeedSitemaps(e.target.checked)} disabled={isScanning} style={{ verticalAlign: 'middle', marginRight: '6px' }}/>Seed from Sitemaps</label>
+        </div>
+
+        <div style={{ display: 'flex', gap: 16, alignItems: 'center', marginTop: '12px', flexWrap: 'wrap' }}>
+            <label style={{ fontSize: 12 }}>Path prefix&nbsp;<input value={scope.pathPrefix} onChange={(e) => setScope(sc => ({ ...sc, pathPrefix: e.target.value }))} placeholder="/" style={{ width: 140, padding: 6 }} disabled={isScanning}/></label>
+            <label style={{ fontSize: 12 }}>Max depth&nbsp;<input type="number" min={0} value={scope.maxDepth} onChange={(e) => setScope(sc => ({ ...sc, maxDepth: e.target.value === '' ? '' : Number(e.target.value) }))} placeholder="unlimited" style={{ width: 90, padding: 6 }} disabled={isScanning}/></label>
+            <label style={{ fontSize: 12 }}>Time budget per batch (minutes)&nbsp;<input type="number" min={1} value={timeBudgetMinutes} onChange={(e) => setTimeBudgetMinutes(e.target.value)} placeholder="none" style={{ width: 90, padding: 6 }} disabled={isScanning}/></label>
         </div>
-        
+
+        <details style={{ marginTop: '12px', fontSize: 14 }}>
+            <summary style={{ cursor: 'pointer' }}>URL Rules</summary>
+            <div style={{ display: 'flex', gap: 16, flexWrap: 'wrap', marginTop: 8 }}>
+                {RULE_FLAGS.map(([key, label]) => (
+                    <label key={key} style={{ fontSize: 12, cursor: 'pointer' }}><input type="checkbox" checked={urlRules[key]} onChange={(e) => setUrlRules(r => ({ ...r, [key]: e.target.checked }))} disabled={isScanning} style={{ verticalAlign: 'middle', marginRight: '4px' }}/>{label}</label>
+                ))}
+                <label style={{ fontSize: 12 }}><input type="checkbox" checked={urlRules.trailingSlash === 'strip'} onChange={(e) => setUrlRules(r => ({ ...r, trailingSlash: e.target.checked ? 'strip' : 'keep' }))} disabled={isScanning} style={{ verticalAlign: 'middle', marginRight: '4px' }}/>Strip trailing slash</label>
+            </div>
+            <div style={{ display: 'flex', gap: 12, marginTop: 8, flexWrap: 'wrap' }}>
+                <label style={{ fontSize: 12, flex: 1, minWidth: 220 }}>Include (one glob or re:regex per line)
+                    <textarea value={urlRules.include} onChange={(e) => setUrlRules(r => ({ ...r, include: e.target.value }))} rows={3} placeholder="/blog/*" style={{ width: '100%', padding: 6 }} disabled={isScanning}/>
+                </label>
+                <label style={{ fontSize: 12, flex: 1, minWidth: 220 }}>Exclude (one glob or re:regex per line)
+                    <textarea value={urlRules.exclude} onChange={(e) => setUrlRules(r => ({ ...r, exclude: e.target.value }))} rows={3} placeholder={'/tag/*\nre:[?&]page=\\d{3,}'} style={{ width: '100%', padding: 6 }} disabled={isScanning}/>
+                </label>
+            </div>
+            <label style={{ fontSize: 12, display: 'block', marginTop: 8 }}>Skip extensions&nbsp;
+                <input value={urlRules.skipExtensions} onChange={(e) => setUrlRules(r => ({ ...r, skipExtensions: e.target.value }))} placeholder="default media, document and archive types" style={{ width: '60%', padding: 6 }} disabled={isScanning}/>
+            </label>
+        </details>
+
         <div style={{ marginTop: '16px', paddingTop: '16px', borderTop: '1px solid #eee' }}>
             <label style={{ fontSize: 14, cursor: 'pointer', fontWeight: 'bold' }}><input type="checkbox" checked={autoResumeEnabled} onChange={(e) => setAutoResumeEnabled(e.target.checked)} disabled={isScanning} style={{ verticalAlign: 'middle', marginRight: '6px' }}/>Enable Auto-Resume</label>
             {autoResumeEnabled && (
@@ -211,19 +342,43 @@ export default function Scanner() {
         {!isScanning && !existingScan && (<button onClick={() => startScan('new')} disabled={isCheckingScan || !startUrl.trim()}>{isCheckingScan ? 'Checking…' : 'Start New Scan'}</button>)}
         {!isScanning && existingScan && (
             <>
-                <button onClick={() => startScan('resume')} style={{background: '#2563eb', color: 'white'}}>{`Resume (${existingScan.visitedCount} done)`}</button>
+                {existingScan.status === 'interrupted' ? (
+                    <button onClick={() => startScan('resume')} style={{background: '#7c3aed', color: 'white'}}>{`Recover (${existingScan.visitedCount} done)`}</button>
+                ) : (
+                    <button onClick={() => startScan('resume')} style={{background: '#2563eb', color: 'white'}}>{`Resume (${existingScan.visitedCount} done)`}</button>
+                )}
                 <button onClick={() => startScan('new')} style={{ background: '#be123c', color: 'white'}}>Start Fresh</button>
             </>
         )}
         {isScanning && (<button onClick={interruptScan} style={{ background: '#d97706', color: 'white'}}>Interrupt Scan</button>)}
       </div>
       
-      {existingScan && !isScanning && (
+      {existingScan && !isScanning && existingScan.status === 'interrupted' && (
+          <p style={{ fontSize: 12, color: '#7c3aed', margin: '8px 0'}}>
+              This scan was interrupted when the API stopped mid-batch. Progress up to the last checkpoint was kept; {existingScan.queueCount} URLs are still queued. Recover to continue from there.
+          </p>
+      )}
+      {existingScan && !isScanning && existingScan.status !== 'interrupted' && (
           <p style={{ fontSize: 12, color: '#999', margin: '8px 0'}}>
-              Found a paused scan for this site. Queue has {existingScan.queueCount} URLs remaining.
+              Found a {existingScan.status} scan for this site. Queue has {existingScan.queueCount} URLs remaining.
           </p>
       )}
 
+      {existingScan && !isScanning && existingScan.status === 'paused' && (
+          <div style={{ display: 'flex', gap: 8, alignItems: 'center', flexWrap: 'wrap', fontSize: 12, margin: '8px 0' }}>
+              {schedule?.scheduled ? (
+                  <>
+                      <span>Auto-resume scheduled for {new Date(schedule.runAt).toLocaleString()}.</span>
+                      <button onClick={cancelSchedule}>Cancel Auto-Resume</button>
+                  </>
+              ) : (
+                  <span>No auto-resume scheduled{schedule?.status === 'failed' ? ` (last attempt failed: ${schedule.lastError})` : ''}.</span>
+              )}
+              <label>Resume in&nbsp;<input type="number" min="1" value={rescheduleDelay} onChange={(e) => setRescheduleDelay(e.target.value)} style={{ width: 60, padding: 4 }} />&nbsp;minutes</label>
+              <button onClick={reschedule}>{schedule?.scheduled ? 'Reschedule' : 'Schedule'}</button>
+          </div>
+      )}
+
       {scanId && ( <p style={{ marginTop: 8, fontSize: 12, color: '#555' }}>Scan ID: <code>{scanId}</code></p>)}
       
       <div style={{ marginTop: 12, padding: '8px 10px', background: '#eef2ff', border: '1px solid #c7d2fe', color: '#1e1b4b', borderRadius: 6, fontSize: 14, }}>
@@ -236,6 +391,13 @@ export default function Scanner() {
           <div>URLs in Queue: {stats.inQueue}</div>
           <div>Domains Checked: {stats.checkedDomains}</div>
           <div>Rate: {stats.crawlRate?.toFixed(2) ?? 0} p/s</div>
+          {stats.effectiveDelay != null && <div>Delay: {stats.effectiveDelay} ms</div>}
+          {stats.pool && (
+            <div style={{ color: '#555' }}>
+              Pool: {stats.pool.busy}/{stats.pool.size} threads, fetches {stats.pool.fetches.active}/{stats.pool.fetches.max}, checks {stats.pool.checks.active}/{stats.pool.checks.max}
+              {stats.pool.queuedScans > 0 && `, ${stats.pool.queuedScans} scan(s) waiting`}
+            </div>
+          )}
         </div>
       </div>
       
@@ -249,14 +411,14 @@ export default function Scanner() {
         </thead>
         <tbody>
           {filtered.length ? (
-            filtered.map(({ domain }) => (
+            filtered.map(({ domain, result }) => (
               <tr key={domain}>
                 <td>
                   <a href={`http://${domain}`} target="_blank" rel="noopener noreferrer" style={{ color: '#2563eb', textDecoration: 'underline' }}>
                     {domain}
                   </a>
                 </td>
-                <td>No DNS (NXDOMAIN/ENOTFOUND)</td>
+                <td>No DNS ({result.code})</td>
               </tr>
             ))
           ) : (
@@ -0,0 +1,140 @@
+import { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+
+const STATUS_COLORS = {
+    running: '#16a34a',
+    paused: '#d97706',
+    interrupted: '#7c3aed',
+    completed: '#2563eb',
+};
+
+export default function Scans({ onWebsiteSelect }) {
+    const [scans, setScans] = useState([]);
+    const [statusFilter, setStatusFilter] = useState('');
+    const [isLoading, setIsLoading] = useState(false);
+    const [busyId, setBusyId] = useState(null);
+    const [message, setMessage] = useState('');
+
+    const fetchScans = useCallback(async () => {
+        const params = {};
+        if (statusFilter) params.status = statusFilter;
+        try {
+            const { data } = await axios.get('http://localhost:4000/scans', { params });
+            setScans(data);
+        } catch (error) {
+            console.error("Failed to fetch scans", error);
+        }
+    }, [statusFilter]);
+
+    // Poll so running scans show live progress without a page refresh.
+    useEffect(() => {
+        setIsLoading(true);
+        fetchScans().finally(() => setIsLoading(false));
+        const timer = setInterval(fetchScans, 3000);
+        return () => clearInterval(timer);
+    }, [fetchScans]);
+
+    const runAction = async (id, action) => {
+        setBusyId(id);
+        setMessage('');
+        try {
+            if (action === 'delete') {
+                if (!window.confirm('Delete this scan and its crawl frontier? Stored results are kept.')) return;
+                await axios.delete(`http://localhost:4000/scans/${id}`);
+            } else {
+                await axios.post(`http://localhost:4000/scans/${id}/${action}`);
+            }
+            await fetchScans();
+        } catch (error) {
+            console.error(`Failed to ${action} scan`, error);
+            setMessage(`Failed to ${action} scan: ${error.response?.data?.error || error.message}`);
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    return (
+        <div>
+            <h2>Scans</h2>
+            <div style={{ display: 'flex', gap: 8, marginBottom: 16, alignItems: 'center' }}>
+                <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)} style={{ width: 200, padding: 8 }}>
+                    <option value="">All statuses</option>
+                    <option value="running">Running</option>
+                    <option value="paused">Paused</option>
+                    <option value="interrupted">Interrupted</option>
+                    <option value="completed">Completed</option>
+                </select>
+                {message && <span style={{ color: '#be123c', fontSize: 13 }}>{message}</span>}
+            </div>
+
+            <table width="100%" cellPadding="6" style={{ borderCollapse: 'collapse' }}>
+                <thead>
+                    <tr>
+                        <th align="left">Website</th>
+                        <th align="left">Status</th>
+                        <th align="left">Pages Visited</th>
+                        <th align="left">Queued</th>
+                        <th align="left">Domains Checked</th>
+                        <th align="left">Auto-Resume</th>
+                        <th align="left">Started</th>
+                        <th align="left">Actions</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {isLoading && !scans.length ? (
+                        <tr><td colSpan="8">Loading...</td></tr>
+                    ) : scans.length ? (
+                        scans.map((scan) => (
+                            <tr key={scan.id}>
+                                <td>
+                                    <a
+                                        href="#"
+                                        onClick={(e) => {
+                                            e.preventDefault();
+                                            onWebsiteSelect(scan.website);
+                                        }}
+                                        style={{ color: '#2563eb', textDecoration: 'underline' }}
+                                    >
+                                        {scan.website}
+                                    </a>
+                                    <div style={{ fontSize: 11, color: '#999' }}>{scan.startUrl}</div>
+                                </td>
+                                <td style={{ color: STATUS_COLORS[scan.status] || '#333', fontWeight: 'bold' }}>
+                                    {scan.status}{scan.queued ? ' (queued)' : scan.status === 'running' && !scan.active ? ' (other process)' : ''}
+                                </td>
+                                <td>{scan.visitedCount}</td>
+                                <td>{scan.queueCount}</td>
+                                <td>{scan.checkedDomains}</td>
+                                <td style={{ fontSize: 12 }}>
+                                    {scan.autoResume?.enabled ? (
+                                        <>
+                                            every {scan.autoResume.delayMinutes} min, {scan.autoResume.remaining} left
+                                            {scan.nextResumeAt && <div>next: {new Date(scan.nextResumeAt).toLocaleString()}</div>}
+                                        </>
+                                    ) : 'off'}
+                                </td>
+                                <td style={{ fontSize: 12 }}>{new Date(scan.createdAt).toLocaleString()}</td>
+                                <td>
+                                    <div style={{ display: 'flex', gap: 4 }}>
+                                        {scan.active || scan.nextResumeAt ? (
+                                            <button onClick={() => runAction(scan.id, 'interrupt')} disabled={busyId === scan.id}>Interrupt</button>
+                                        ) : scan.status !== 'completed' && scan.status !== 'running' && (
+                                            <button onClick={() => runAction(scan.id, 'resume')} disabled={busyId === scan.id}>
+                                                {scan.status === 'interrupted' ? 'Recover' : 'Resume'}
+                                            </button>
+                                        )}
+                                        <button onClick={() => runAction(scan.id, 'delete')} disabled={busyId === scan.id || scan.active}>Delete</button>
+                                    </div>
+                                </td>
+                            </tr>
+                        ))
+                    ) : (
+                        <tr>
+                            <td colSpan="8" style={{ color: '#777' }}>No scans found.</td>
+                        </tr>
+                    )}
+                </tbody>
+            </table>
+        </div>
+    );
+}
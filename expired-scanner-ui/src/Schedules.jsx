@@ -0,0 +1,292 @@
+import { Fragment, useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+
+const OUTCOME_COLORS = {
+    running: '#16a34a',
+    paused: '#d97706',
+    failed: '#be123c',
+    completed: '#2563eb',
+    skipped: '#777',
+};
+
+const EMPTY_FORM = {
+    name: '',
+    startUrls: '',
+    cron: '0 6 * * 1',
+    timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC',
+    batchSize: 1000,
+    concurrency: 5,
+    politeness: 'balanced',
+};
+
+const formatTime = (value) => (value ? new Date(value).toLocaleString() : '-');
+
+// Recurring scans: each schedule re-crawls its websites whenever its cron
+// expression fires, in the schedule's own time zone.
+export default function Schedules() {
+    const [schedules, setSchedules] = useState([]);
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [editingId, setEditingId] = useState(null);
+    const [expanded, setExpanded] = useState(null);
+    const [details, setDetails] = useState({});
+    const [busyId, setBusyId] = useState(null);
+    const [message, setMessage] = useState('');
+
+    const fetchSchedules = useCallback(async () => {
+        try {
+            const { data } = await axios.get('http://localhost:4000/schedules');
+            setSchedules(data);
+        } catch (error) {
+            console.error("Failed to fetch schedules", error);
+        }
+    }, []);
+
+    const fetchDetails = useCallback(async (id) => {
+        try {
+            const { data } = await axios.get(`http://localhost:4000/schedules/${id}`);
+            setDetails(prev => ({ ...prev, [id]: data }));
+        } catch (error) {
+            console.error("Failed to fetch schedule", error);
+        }
+    }, []);
+
+    // Poll so executions started by the scheduler show up and their outcome updates.
+    useEffect(() => {
+        fetchSchedules();
+        const timer = setInterval(() => {
+            fetchSchedules();
+            if (expanded) fetchDetails(expanded);
+        }, 10000);
+        return () => clearInterval(timer);
+    }, [fetchSchedules, fetchDetails, expanded]);
+
+    const updateForm = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+    const startEdit = (schedule) => {
+        setEditingId(schedule.id);
+        setForm({
+            name: schedule.name,
+            startUrls: schedule.startUrls.join('\n'),
+            cron: schedule.cron,
+            timeZone: schedule.timeZone,
+            batchSize: schedule.options.batchSize,
+            concurrency: schedule.options.concurrency,
+            politeness: schedule.options.politeness,
+        });
+    };
+
+    const resetForm = () => {
+        setEditingId(null);
+        setForm(EMPTY_FORM);
+    };
+
+    const saveSchedule = async (e) => {
+        e.preventDefault();
+        setMessage('');
+        const body = {
+            name: form.name,
+            startUrls: form.startUrls.split(/\s+/).filter(Boolean),
+            cron: form.cron,
+            timeZone: form.timeZone,
+            options: { batchSize: Number(form.batchSize), concurrency: Number(form.concurrency), politeness: form.politeness },
+        };
+        try {
+            if (editingId) {
+                await axios.patch(`http://localhost:4000/schedules/${editingId}`, body);
+                if (expanded === editingId) fetchDetails(editingId);
+            } else {
+                await axios.post('http://localhost:4000/schedules', body);
+            }
+            resetForm();
+            await fetchSchedules();
+        } catch (error) {
+            console.error("Failed to save schedule", error);
+            setMessage(`Failed to save schedule: ${error.response?.data?.error || error.message}`);
+        }
+    };
+
+    const runAction = async (schedule, action) => {
+        setBusyId(schedule.id);
+        setMessage('');
+        try {
+            if (action === 'delete') {
+                if (!window.confirm(`Delete the schedule "${schedule.name}"? Scans it already started are kept.`)) return;
+                await axios.delete(`http://localhost:4000/schedules/${schedule.id}`);
+                if (editingId === schedule.id) resetForm();
+            } else {
+                await axios.patch(`http://localhost:4000/schedules/${schedule.id}`, { enabled: action === 'enable' });
+            }
+            await fetchSchedules();
+        } catch (error) {
+            console.error(`Failed to ${action} schedule`, error);
+            setMessage(`Failed to ${action} schedule: ${error.response?.data?.error || error.message}`);
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const toggleDetails = (id) => {
+        if (expanded === id) {
+            setExpanded(null);
+            return;
+        }
+        setExpanded(id);
+        fetchDetails(id);
+    };
+
+    const renderOutcome = (outcome) => (
+        <span style={{ color: OUTCOME_COLORS[outcome] || '#333', fontWeight: 'bold' }}>{outcome}</span>
+    );
+
+    const renderDetails = (schedule) => {
+        const data = details[schedule.id];
+        if (!data) return 'Loading executions...';
+        return (
+            <div style={{ display: 'flex', gap: 24, alignItems: 'flex-start' }}>
+                <div style={{ minWidth: 200 }}>
+                    <strong>Upcoming</strong>
+                    {data.upcoming.length ? (
+                        <ul style={{ margin: '4px 0', paddingLeft: 18 }}>
+                            {data.upcoming.map(time => <li key={time}>{formatTime(time)}</li>)}
+                        </ul>
+                    ) : <div style={{ color: '#777' }}>Schedule is disabled.</div>}
+                </div>
+                <div style={{ flex: 1 }}>
+                    <strong>Past executions</strong>
+                    {data.executions.length ? (
+                        <table width="100%" cellPadding="4">
+                            <thead>
+                                <tr>
+                                    <th align="left">Started</th>
+                                    <th align="left">Outcome</th>
+                                    <th align="left">Scans</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {data.executions.map(execution => (
+                                    <tr key={execution.id} style={{ verticalAlign: 'top' }}>
+                                        <td>
+                                            {formatTime(execution.startedAt)}
+                                            {new Date(execution.startedAt) - new Date(execution.scheduledFor) > 5 * 60 * 1000 && (
+                                                <div style={{ fontSize: 11, color: '#777' }}>due {formatTime(execution.scheduledFor)}</div>
+                                            )}
+                                        </td>
+                                        <td>{renderOutcome(execution.outcome)}</td>
+                                        <td>
+                                            {execution.scans.map(scan => (
+                                                <div key={scan.startUrl}>
+                                                    {scan.website}: <span style={{ color: OUTCOME_COLORS[scan.status] || '#333' }}>{scan.status}</span>
+                                                    {scan.status !== 'skipped' && scan.status !== 'failed' && ` (${scan.visitedCount} pages, ${scan.checkedDomains} domains)`}
+                                                    {scan.reason && <span style={{ color: '#777' }}> - {scan.reason}</span>}
+                                                </div>
+                                            ))}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    ) : <div style={{ color: '#777' }}>Not run yet.</div>}
+                </div>
+            </div>
+        );
+    };
+
+    return (
+        <div>
+            <h2>Schedules</h2>
+            <form onSubmit={saveSchedule} style={{ display: 'grid', gap: 8, marginBottom: 16, padding: 12, border: '1px solid #ddd', borderRadius: 4 }}>
+                <strong>{editingId ? 'Edit schedule' : 'New schedule'}</strong>
+                <input value={form.name} onChange={updateForm('name')} placeholder="Name (defaults to the first website)" style={{ padding: 8 }} />
+                <textarea
+                    value={form.startUrls}
+                    onChange={updateForm('startUrls')}
+                    placeholder="Start URLs, one per line"
+                    rows={3}
+                    style={{ padding: 8, fontFamily: 'inherit' }}
+                />
+                <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap', alignItems: 'center' }}>
+                    <label style={{ fontSize: 12 }}>cron&nbsp;<input value={form.cron} onChange={updateForm('cron')} style={{ width: 140, padding: 6 }} /></label>
+                    <label style={{ fontSize: 12 }}>time zone&nbsp;<input value={form.timeZone} onChange={updateForm('timeZone')} style={{ width: 160, padding: 6 }} /></label>
+                    <label style={{ fontSize: 12 }}>batchSize&nbsp;<input type="number" min={100} step={100} value={form.batchSize} onChange={updateForm('batchSize')} style={{ width: 90, padding: 6 }} /></label>
+                    <label style={{ fontSize: 12 }}>concurrency&nbsp;<input type="number" min={1} max={10} value={form.concurrency} onChange={updateForm('concurrency')} style={{ width: 60, padding: 6 }} /></label>
+                    <label style={{ fontSize: 12 }}>politeness&nbsp;
+                        <select value={form.politeness} onChange={updateForm('politeness')} style={{ padding: 6 }}>
+                            <option value="aggressive">aggressive</option>
+                            <option value="balanced">balanced</option>
+                            <option value="polite">polite</option>
+                        </select>
+                    </label>
+                </div>
+                <div style={{ fontSize: 12, color: '#777' }}>
+                    minute hour day-of-month month day-of-week, e.g. <code>0 6 * * 1</code> for every Monday at 06:00.
+                </div>
+                <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+                    <button type="submit">{editingId ? 'Save' : 'Create schedule'}</button>
+                    {editingId && <button type="button" onClick={resetForm}>Cancel</button>}
+                    {message && <span style={{ color: '#be123c', fontSize: 13 }}>{message}</span>}
+                </div>
+            </form>
+
+            <table width="100%" cellPadding="6" style={{ borderCollapse: 'collapse' }}>
+                <thead>
+                    <tr>
+                        <th align="left">Name</th>
+                        <th align="left">Schedule</th>
+                        <th align="left">Next Run</th>
+                        <th align="left">Last Run</th>
+                        <th align="left">Actions</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {schedules.length ? (
+                        schedules.map((schedule) => (
+                            <Fragment key={schedule.id}>
+                                <tr>
+                                    <td>
+                                        {schedule.name}
+                                        <div style={{ fontSize: 11, color: '#999' }}>
+                                            {schedule.startUrls.length === 1 ? schedule.startUrls[0] : `${schedule.startUrls.length} websites`}
+                                        </div>
+                                    </td>
+                                    <td style={{ fontSize: 12 }}>
+                                        <code>{schedule.cron}</code>
+                                        <div>{schedule.timeZone}</div>
+                                    </td>
+                                    <td style={{ fontSize: 12 }}>{schedule.enabled ? formatTime(schedule.nextRunAt) : 'disabled'}</td>
+                                    <td style={{ fontSize: 12 }}>
+                                        {schedule.lastExecution ? (
+                                            <>
+                                                {formatTime(schedule.lastExecution.startedAt)}
+                                                <div>{renderOutcome(schedule.lastExecution.outcome)}</div>
+                                            </>
+                                        ) : 'never'}
+                                        {schedule.lastError && <div style={{ color: '#be123c' }}>{schedule.lastError}</div>}
+                                    </td>
+                                    <td>
+                                        <div style={{ display: 'flex', gap: 4 }}>
+                                            <button onClick={() => toggleDetails(schedule.id)}>{expanded === schedule.id ? 'Hide' : 'Runs'}</button>
+                                            <button onClick={() => startEdit(schedule)} disabled={busyId === schedule.id}>Edit</button>
+                                            <button onClick={() => runAction(schedule, schedule.enabled ? 'disable' : 'enable')} disabled={busyId === schedule.id}>
+                                                {schedule.enabled ? 'Disable' : 'Enable'}
+                                            </button>
+                                            <button onClick={() => runAction(schedule, 'delete')} disabled={busyId === schedule.id}>Delete</button>
+                                        </div>
+                                    </td>
+                                </tr>
+                                {expanded === schedule.id && (
+                                    <tr>
+                                        <td colSpan="5" style={{ background: '#f8fafc', fontSize: 13 }}>{renderDetails(schedule)}</td>
+                                    </tr>
+                                )}
+                            </Fragment>
+                        ))
+                    ) : (
+                        <tr>
+                            <td colSpan="5" style={{ color: '#777' }}>No schedules yet.</td>
+                        </tr>
+                    )}
+                </tbody>
+            </table>
+        </div>
+    );
+}
@@ -1,10 +1,102 @@
-import { useState, useEffect } from 'react';
+import { Fragment, useState, useEffect } from 'react';
 import axios from 'axios';
 
 // The component now accepts the onWebsiteSelect function as a prop
 export default function Summary({ onWebsiteSelect }) {
     const [summary, setSummary] = useState([]);
     const [isLoading, setIsLoading] = useState(false);
+    const [expanded, setExpanded] = useState(null);
+    const [runs, setRuns] = useState({});
+    const [diff, setDiff] = useState(null);
+
+    const toggleHistory = async (website) => {
+        setDiff(null);
+        if (expanded === website) {
+            setExpanded(null);
+            return;
+        }
+        setExpanded(website);
+        try {
+            const { data } = await axios.get(`http://localhost:4000/scans/${encodeURIComponent(website)}/runs`);
+            setRuns(prev => ({ ...prev, [website]: data }));
+            // Open on what the latest run turned up.
+            if (data.length) await showDiff(website, data[0].id);
+        } catch (error) {
+            console.error("Failed to fetch run history", error);
+            setRuns(prev => ({ ...prev, [website]: [] }));
+        }
+    };
+
+    // Compares a run with the one before it.
+    const showDiff = async (website, runId) => {
+        try {
+            const { data } = await axios.get(`http://localhost:4000/scans/${encodeURIComponent(website)}/diff`, { params: { to: runId } });
+            setDiff(data);
+        } catch (error) {
+            console.error("Failed to compare runs", error);
+            setDiff(null);
+        }
+    };
+
+    const renderDiffList = (title, items, color, describe) => (
+        <div style={{ flex: 1, minWidth: 200 }}>
+            <strong style={{ color }}>{title} ({items.length})</strong>
+            <ul style={{ margin: '4px 0', paddingLeft: 18 }}>
+                {items.map(item => <li key={item.domain}>{describe(item)}</li>)}
+            </ul>
+        </div>
+    );
+
+    const renderHistory = (website) => {
+        const history = runs[website];
+        if (!history) return 'Loading run history...';
+        if (!history.length) return 'No runs recorded for this website.';
+        return (
+            <>
+                <table width="100%" cellPadding="4">
+                    <thead>
+                        <tr>
+                            <th align="left">Started</th>
+                            <th align="left">Status</th>
+                            <th align="left">Pages</th>
+                            <th align="left">Expired Domains</th>
+                            <th align="left">Completed</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {history.map(run => (
+                            <tr key={run.id} style={{ fontWeight: diff?.to.id === run.id ? 'bold' : 'normal' }}>
+                                <td>{new Date(run.createdAt).toLocaleString()}</td>
+                                <td>{run.status}</td>
+                                <td>{run.visitedCount}</td>
+                                <td>{run.foundDomains}</td>
+                                <td>{run.completedAt ? new Date(run.completedAt).toLocaleString() : '-'}</td>
+                                <td><button type="button" onClick={() => showDiff(website, run.id)}>What's new</button></td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+                {diff && diff.website === website && (
+                    <div style={{ marginTop: 8 }}>
+                        <div style={{ color: '#555', marginBottom: 4 }}>
+                            {diff.from
+                                ? `Run of ${new Date(diff.to.createdAt).toLocaleString()} compared with ${new Date(diff.from.createdAt).toLocaleString()}`
+                                : `First run (${new Date(diff.to.createdAt).toLocaleString()}): everything it found is new`}
+                            {diff.to.status !== 'completed' && ' (this run has not finished, so more domains may still turn up)'}
+                        </div>
+                        <div style={{ display: 'flex', gap: 16, flexWrap: 'wrap' }}>
+                            {renderDiffList('New', diff.added, '#15803d', item => item.domain)}
+                            {renderDiffList('No longer found', diff.removed, '#6b7280', item => item.domain)}
+                            {renderDiffList('Changed', diff.changed, '#b45309', item => (
+                                `${item.domain}: ${item.changes.map(c => `${c.field} ${c.from ?? 'none'} → ${c.to ?? 'none'}`).join(', ')}`
+                            ))}
+                        </div>
+                    </div>
+                )}
+            </>
+        );
+    };
 
     useEffect(() => {
         const fetchSummary = async () => {
@@ -30,14 +122,16 @@ export default function Summary({ onWebsiteSelect }) {
                     <tr>
                         <th align="left">Website Scanned</th>
                         <th align="left">Expired Domains Found</th>
+                        <th align="left">Runs</th>
                     </tr>
                 </thead>
                 <tbody>
                     {isLoading ? (
-                        <tr><td colSpan="2">Loading...</td></tr>
+                        <tr><td colSpan="3">Loading...</td></tr>
                     ) : summary.length ? (
                         summary.map((item) => (
-                            <tr key={item.website}>
+                            <Fragment key={item.website}>
+                            <tr>
                                 <td>
                                     {/* Make the website name a clickable button-like link */}
                                     <a
@@ -52,11 +146,22 @@ export default function Summary({ onWebsiteSelect }) {
                                     </a>
                                 </td>
                                 <td>{item.count}</td>
+                                <td>
+                                    <button type="button" onClick={() => toggleHistory(item.website)}>
+                                        {expanded === item.website ? 'Hide' : 'History'}
+                                    </button>
+                                </td>
                             </tr>
+                            {expanded === item.website && (
+                                <tr>
+                                    <td colSpan="3" style={{ background: '#f8fafc', fontSize: 13 }}>{renderHistory(item.website)}</td>
+                                </tr>
+                            )}
+                            </Fragment>
                         ))
                     ) : (
                         <tr>
-                            <td colSpan={2} style={{ color: '#777' }}>
+                            <td colSpan={3} style={{ color: '#777' }}>
                                 No scan results found in the database.
                             </td>
                         </tr>